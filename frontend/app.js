@@ -11,12 +11,29 @@
   // ── State ──────────────────────────────────────────────────
   const state = {
     events: [],
+    history: [],                // every accepted event in `_seq` order, incl. transcripts (rebuilt from when older pages arrive)
+    olderCursor: null,          // GET /api/events cursor for the page before the oldest loaded event
+    loadingOlder: false,
     tasksBySession: new Map(),  // sessionId -> Map(taskId -> task)
+    fileTasks: new Map(),       // path -> task file from the server's ~/.claude/tasks
     activeTaskSession: '',      // which session's tasks to show ('' = latest)
     agents: new Map(),          // agentName -> { color, eventCount, lastSeen }
     agentProfiles: new Map(),   // sessionId::agentKey -> { name, sessionId, type, ... }
     activeAgentSession: '',     // which session's agents to show
+    agentTrees: new Map(),      // sessionId -> agent hierarchy from /api/agents/tree
+    agentTreeTimer: null,
+    collapsedAgents: new Set(), // sessionId::node id of collapsed agent tree nodes
     sessions: new Set(),
+    sessionInfo: new Map(),     // sessionId -> server summary from /api/sessions
+    sessionRefreshTimer: null,
+    toolCalls: new Map(),       // event _seq (Pre or Post) -> tool-call record from the server
+    alerts: new Map(),          // alert id -> firing alert from the server
+    transcripts: new Map(),     // sessionId -> { turns: [], byMessage: Map(message id -> turn) }
+    toolUseTurns: new Map(),    // tool_use_id -> assistant turn that issued the call
+    conversationSession: '',    // session shown in the Conversation view ('' = latest)
+    lastTranscriptSession: '',
+    usage: new Map(),           // sessionId -> token/cost totals from /api/usage
+    budgets: { session_usd: null, agent_usd: null },
     eventTypes: new Set(),
     filters: { session: '', agent: '', types: new Set() },
     autoScroll: true,
@@ -24,7 +41,15 @@
     reconnectDelay: 1000,
     reconnectTimer: null,
     ws: null,
+    es: null,                   // EventSource when streaming over SSE instead
+    transport: 'ws',            // 'sse' once WebSocket upgrades keep failing
+    wsFailures: 0,              // consecutive WebSocket attempts that never opened
+    wsProbeTimer: null,         // next attempt to move from SSE back to WebSocket
+    wsProbeDelay: 60000,
+    restartingSince: 0,         // when the server said it was restarting (0 = not restarting)
     tokenError: false,
+    lastSeq: 0,                 // highest server `_seq` seen, sent on reconnect for backfill
+    replay: null,               // { session, ws, info } while playing back a recorded session
   };
 
   const AGENT_COLORS = [
@@ -64,6 +89,11 @@
     filterEventTypes:  $('#filter-event-types'),
     btnClearFilters:   $('#btn-clear-filters'),
     agentList:         $('#agent-list'),
+    alertList:         $('#alert-list'),
+    alertCount:        $('#alert-count'),
+    conversationView:  $('#view-conversation'),
+    conversationInfo:  $('#conversation-info'),
+    conversationList:  $('#conversation-list'),
     viewTabs:          $$('.tab'),
     views:             $$('.view'),
     btnAutoScroll:     $('#btn-auto-scroll'),
@@ -77,6 +107,9 @@
     depArrows:         $('#dependency-arrows'),
     agentsContainer:   $('#agents-container'),
     agentsSessionSel:  $('#agents-session-selector'),
+    sessionCost:       $('#session-cost'),
+    sessionCostTotal:  $('#session-cost-total'),
+    sessionCostGraph:  $('#session-cost-graph'),
     eventLogBody:      $('#event-log-body'),
     bottomPanelHeader: $('#bottom-panel-header'),
     bottomPanelContent:$('#bottom-panel-content'),
@@ -84,6 +117,15 @@
     detailTitle:       $('#detail-title'),
     detailJson:        $('#detail-json'),
     detailClose:       $('#detail-close'),
+    btnReplay:         $('#btn-replay'),
+    replayBar:         $('#replay-bar'),
+    replaySession:     $('#replay-session'),
+    replayPlay:        $('#replay-play'),
+    replayStep:        $('#replay-step'),
+    replaySpeeds:      $$('.replay-speed'),
+    replaySeek:        $('#replay-seek'),
+    replayPosition:    $('#replay-position'),
+    replayExit:        $('#replay-exit'),
   };
 
   // ── Utilities ──────────────────────────────────────────────
@@ -104,44 +146,30 @@
     return EVENT_TYPE_STYLE[type] || { cls: 'type-default', badge: 'gray', label: type ? type.slice(0, 6) : '?' };
   }
 
-  function extractAgentName(event) {
-    // Real Claude Code events: agent identity comes from various places
-    // 1. Teammate/agent name fields
-    if (event.teammate_name) return event.teammate_name;
-    if (event.agent_name) return event.agent_name;
-    if (event.agent) return event.agent;
-    if (event.agentName) return event.agentName;
-
-    // 2. For Task tool events, extract agent name from tool_input or tool_response
-    if (event.tool_name === 'Task' || event.tool_name === 'SendMessage') {
-      const name = event.tool_input?.name || event.tool_response?.name;
-      if (name) return name;
-    }
-
-    // 3. For SubagentStop, check tool_response for agent info
-    const hookType = event.hook_event_name || event.hook_type;
-    if (hookType === 'SubagentStop' || hookType === 'SubagentStart') {
-      if (event.agent_type) return event.agent_type;
-    }
-
-    // 4. Derive from session_id (use short form) or cwd (project name)
-    if (event.cwd) {
-      const parts = event.cwd.split('/');
-      return parts[parts.length - 1] || 'unknown';
-    }
-    if (event.session_id) {
-      return event.session_id.slice(0, 8);
+  // Canonical view of an event (see normalize.cjs): stamped by the server at
+  // ingest, derived here for events stored before that or by another version
+  const canonicalCache = new WeakMap();
+  function canonicalOf(event) {
+    const c = event._canonical;
+    if (c && c.v === MohanoNormalize.VERSION) return c;
+    let derived = canonicalCache.get(event);
+    if (!derived) {
+      derived = MohanoNormalize.normalizeEvent(event);
+      canonicalCache.set(event, derived);
     }
+    return derived;
+  }
 
-    return event.owner || 'unknown';
+  function extractAgentName(event) {
+    return canonicalOf(event).agent.name;
   }
 
   function extractEventType(event) {
-    return event.hook_event_name || event.hook_type || event.type || event.eventType || event.event_type || 'Unknown';
+    return canonicalOf(event).type;
   }
 
   function extractSessionId(event) {
-    return event.session || event.sessionId || event.session_id || '';
+    return canonicalOf(event).session_id;
   }
 
   function extractSummary(event) {
@@ -149,19 +177,13 @@
     const t = extractEventType(event);
 
     if (t === 'PreToolUse' || t === 'PostToolUse') {
-      const tool = event.tool_name || event.tool || event.toolName || 'tool';
-      // Add context from tool_input
-      if (event.tool_input) {
-        if (event.tool_input.file_path) return `${tool}: ${event.tool_input.file_path.split('/').pop()}`;
-        if (event.tool_input.command) return `${tool}: ${String(event.tool_input.command).slice(0, 40)}`;
-        if (event.tool_input.pattern) return `${tool}: ${event.tool_input.pattern}`;
-        if (event.tool_input.query) return `${tool}: ${String(event.tool_input.query).slice(0, 40)}`;
-        if (event.tool_input.prompt) return `${tool}: ${String(event.tool_input.prompt).slice(0, 40)}`;
-        if (event.tool_input.description) return `${tool}: ${event.tool_input.description}`;
-        if (event.tool_input.subject) return `${tool}: ${event.tool_input.subject}`;
-        if (event.tool_input.taskId) return `${tool}: task #${event.tool_input.taskId}`;
-      }
-      return tool;
+      const { tool, target } = canonicalOf(event);
+      const name = tool ? tool.name : 'tool';
+      // Add context from what the tool acted on
+      if (!target) return name;
+      if (target.kind === 'file') return `${name}: ${target.value.split('/').pop()}`;
+      if (target.kind === 'task') return `${name}: task #${target.value}`;
+      return `${name}: ${target.value.slice(0, 40)}`;
     }
     if (t === 'SendMessage') return event.recipient ? `to ${event.recipient}` : 'message';
     if (t === 'TaskCompleted' || t === 'TaskUpdate') return event.task || event.task_subject || event.subject || event.taskId || '';
@@ -175,10 +197,10 @@
     return '';
   }
 
+  // PostToolUse reporting a failure (PostToolUseFailure has its own style)
   function isToolError(event) {
-    const t = extractEventType(event);
-    if (t === 'PostToolUse' && (event.error || event.status === 'error' || event.success === false)) return true;
-    return false;
+    const c = canonicalOf(event);
+    return c.type === 'PostToolUse' && c.status === 'failure';
   }
 
   function escapeHtml(str) {
@@ -221,11 +243,55 @@
   }
 
   // ── Process Event ──────────────────────────────────────────
+  // Returns false for events already seen (by `_seq`), e.g. overlap between
+  // the initial fetch and a WebSocket backfill
+  function acceptEvent(event) {
+    if (typeof event._seq !== 'number') return true;
+    if (event._seq <= state.lastSeq) return false;
+    state.lastSeq = event._seq;
+    return true;
+  }
+
+  // Everything derived from the events themselves
+  function resetEventState() {
+    state.events = [];
+    state.history = [];
+    state.tasksBySession.clear();
+    state.agents.clear();
+    state.agentProfiles.clear();
+    state.sessions.clear();
+    state.transcripts.clear();
+    state.toolUseTurns.clear();
+    state.lastTranscriptSession = '';
+    state.eventTypes.clear();
+    state.lastSeq = 0;
+  }
+
+  function resetState() {
+    resetEventState();
+    state.olderCursor = null;
+    state.fileTasks.clear();
+    state.activeTaskSession = '';
+    state.activeAgentSession = '';
+    state.sessionInfo.clear();
+    state.agentTrees.clear();
+    state.toolCalls.clear();
+    state.alerts.clear();
+    state.conversationSession = '';
+    state.usage.clear();
+  }
+
   function processEvent(event) {
+    state.history.push(event);
+    const type = extractEventType(event);
+    // Transcript entries only feed the Conversation view
+    if (type === 'TranscriptMessage') {
+      addTranscriptMessage(event);
+      return;
+    }
     state.events.push(event);
 
     const agent = extractAgentName(event);
-    const type = extractEventType(event);
     const session = extractSessionId(event);
 
     registerAgent(agent);
@@ -238,8 +304,14 @@
     if (session) state.sessions.add(session);
     state.eventTypes.add(type);
 
+    // New sessions and lifecycle changes need fresh labels/status from the server
+    if (session && (!state.sessionInfo.has(session) || type === 'SessionStart' || type === 'SessionEnd' || type === 'Stop')) {
+      scheduleSessionRefresh();
+    }
+
     // Update agent profiles
     updateAgentProfiles(event);
+    if (session && session === getActiveAgentSession()) scheduleAgentTreeRefresh();
 
     // Extract tasks from tool events (PostToolUse only to avoid duplicates)
     const toolName = event.tool_name || '';
@@ -327,12 +399,55 @@
     }
   }
 
+  // Task files are keyed to their sessions; lists the server couldn't match to a
+  // session get their own `list:<name>` entry in the selector
+  function fileTaskKeys(task) {
+    return task.session_ids && task.session_ids.length ? task.session_ids : [`list:${task.team}`];
+  }
+
+  function getTaskSessionKeys() {
+    const keys = new Set(state.tasksBySession.keys());
+    for (const task of state.fileTasks.values()) {
+      for (const key of fileTaskKeys(task)) keys.add(key);
+    }
+    return [...keys];
+  }
+
+  // Event-derived tasks, overlaid with the task files (the files are the source of truth)
   function getActiveSessionTasks() {
     const sid = state.activeTaskSession;
     if (!sid) return [];
-    const sessionTasks = state.tasksBySession.get(sid);
-    if (!sessionTasks) return [];
-    return [...sessionTasks.values()];
+    const merged = new Map(state.tasksBySession.get(sid) || []);
+    for (const task of state.fileTasks.values()) {
+      if (!fileTaskKeys(task).includes(sid)) continue;
+      const id = String(task.id || '');
+      if (!id) continue;
+      const existing = merged.get(id);
+      merged.set(id, {
+        id,
+        sessionId: sid,
+        subject: task.subject || (existing && existing.subject) || `Task #${id}`,
+        owner: task.owner || '',
+        status: task.status || 'pending',
+        blockedBy: task.blockedBy || [],
+        blocks: task.blocks || [],
+        createdAt: existing ? existing.createdAt : '',
+        raw: existing ? existing.raw : task,
+      });
+    }
+    return [...merged.values()];
+  }
+
+  function applyTaskChanges(changes) {
+    for (const { op, task } of changes) {
+      if (op === 'delete') {
+        state.fileTasks.delete(task.path);
+      } else {
+        state.fileTasks.set(task.path, task);
+        if (!state.activeTaskSession) state.activeTaskSession = fileTaskKeys(task)[0];
+      }
+    }
+    renderTaskGraph();
   }
 
   // ── Agent Profiles ────────────────────────────────────────
@@ -352,6 +467,7 @@
         teamName: '',
         status: 'active',    // active | idle | stopped
         color: getAgentColor(name),
+        agentIds: new Set(),  // Claude Code agent ids, to attribute transcript usage
         events: [],
         startTime: '',
         stopTime: '',
@@ -376,6 +492,7 @@
       profile.subagentType = event.agent_type || '';
       profile.status = 'active';
       profile.startTime = event.timestamp || event.ts || '';
+      if (event.agent_id) profile.agentIds.add(event.agent_id);
       profile.events.push(event);
       return;
     }
@@ -387,6 +504,7 @@
       profile.type = 'subagent';
       profile.status = 'stopped';
       profile.stopTime = event.timestamp || event.ts || '';
+      if (event.agent_id) profile.agentIds.add(event.agent_id);
       profile.events.push(event);
       return;
     }
@@ -508,7 +626,8 @@
   }
 
   function getActiveAgentSession() {
-    return state.activeAgentSession || state.activeTaskSession || (state.sessions.size > 0 ? [...state.sessions].pop() : '');
+    const taskSession = state.activeTaskSession.startsWith('list:') ? '' : state.activeTaskSession;
+    return state.activeAgentSession || taskSession || (state.sessions.size > 0 ? [...state.sessions].pop() : '');
   }
 
   function getSessionAgentProfiles(sessionId) {
@@ -521,6 +640,138 @@
     return profiles;
   }
 
+  // ── Sessions ───────────────────────────────────────────────
+  function formatDuration(ms) {
+    if (!ms || ms < 0) return '0s';
+    const s = Math.round(ms / 1000);
+    if (s < 60) return `${s}s`;
+    const m = Math.floor(s / 60);
+    if (m < 60) return `${m}m ${s % 60}s`;
+    return `${Math.floor(m / 60)}h ${m % 60}m`;
+  }
+
+  function formatCallDuration(ms) {
+    if (ms === null || ms === undefined) return '';
+    if (ms < 1000) return `${ms}ms`;
+    if (ms < 60000) return `${(ms / 1000).toFixed(1)}s`;
+    return formatDuration(ms);
+  }
+
+  // ── Tool Calls ─────────────────────────────────────────────
+  function registerToolCalls(calls) {
+    for (const call of calls) {
+      if (call.start_seq) state.toolCalls.set(call.start_seq, call);
+      if (call.end_seq) state.toolCalls.set(call.end_seq, call);
+    }
+  }
+
+  function getToolCall(event) {
+    return typeof event._seq === 'number' ? state.toolCalls.get(event._seq) || null : null;
+  }
+
+  function describeBlock(block, ev) {
+    const call = getToolCall(ev);
+    let title = `${extractEventType(ev)} - ${formatTime(ev.timestamp || ev.ts)}`;
+    if (call && call.status !== 'running') {
+      title += `\n${call.tool_name} ${call.status}${call.duration_ms !== null ? ` in ${formatCallDuration(call.duration_ms)}` : ''}`;
+    }
+    block.title = title;
+  }
+
+  // Calls complete after their Post event was drawn: refresh those blocks in place
+  function updateToolCallBlocks(calls) {
+    for (const call of calls) {
+      for (const seq of [call.start_seq, call.end_seq]) {
+        if (!seq) continue;
+        const ev = state.events.find(e => e._seq === seq);
+        if (!ev) continue;
+        for (const block of dom.timelineLanes.querySelectorAll(`.event-block[data-seq="${seq}"]`)) {
+          describeBlock(block, ev);
+        }
+      }
+    }
+  }
+
+  function sessionLabel(sid) {
+    const info = state.sessionInfo.get(sid);
+    if (!info || !info.project_name) return sid.slice(0, 8) + '...';
+    const status = info.status === 'active' ? '' : ` · ${info.status}`;
+    return `${info.project_name} (${sid.slice(0, 8)})${status}`;
+  }
+
+  function sessionTooltip(sid) {
+    const info = state.sessionInfo.get(sid);
+    if (!info) return sid;
+    const usage = state.usage.get(sid) || info.usage;
+    return [
+      sid,
+      info.project || '',
+      `${info.status}, ${formatDuration(info.duration_ms)}`,
+      `${info.agent_count} agents, ${info.tool_call_count} tool calls, ${info.error_count} errors`,
+      usage ? `${formatCost(usage.cost_usd)}, ${formatTokens(totalTokens(usage.tokens))} tokens` : '',
+    ].filter(Boolean).join('\n');
+  }
+
+  function applySessionOption(opt, sid) {
+    opt.textContent = sessionLabel(sid);
+    opt.title = sessionTooltip(sid);
+  }
+
+  // ── Usage ──────────────────────────────────────────────────
+  function formatCost(usd) {
+    if (usd >= 100) return `$${usd.toFixed(0)}`;
+    if (usd >= 1) return `$${usd.toFixed(2)}`;
+    return `$${usd.toFixed(usd >= 0.01 ? 3 : 4)}`;
+  }
+
+  function formatTokens(n) {
+    if (n >= 1e6) return `${(n / 1e6).toFixed(1)}M`;
+    if (n >= 1e3) return `${(n / 1e3).toFixed(1)}k`;
+    return String(n);
+  }
+
+  function totalTokens(tokens) {
+    return tokens.input + tokens.output + tokens.cache_write + tokens.cache_read;
+  }
+
+  function tokenBreakdown(usage) {
+    const t = usage.tokens;
+    const lines = [`input ${t.input}, output ${t.output}, cache write ${t.cache_write}, cache read ${t.cache_read}`];
+    if (usage.unpriced_messages) lines.push(`${usage.unpriced_messages} messages from models without a price`);
+    return lines.join('\n');
+  }
+
+  function isOverBudget(cost, budget) {
+    return Boolean(budget) && cost > budget;
+  }
+
+  // Usage behind an agent card: its subagents' transcripts, or the main thread
+  // for the session's first main profile
+  function getProfileUsage(profile) {
+    const usage = state.usage.get(profile.sessionId);
+    if (!usage || !usage.agents) return null;
+    let keys = [...profile.agentIds];
+    if (profile.type === 'main') {
+      const first = getSessionAgentProfiles(profile.sessionId).find(p => p.type === 'main');
+      keys = first === profile ? ['main'] : [];
+    }
+    let total = null;
+    for (const key of keys) {
+      const agent = usage.agents[key];
+      if (!agent) continue;
+      total = total || { tokens: { input: 0, output: 0, cache_write: 0, cache_read: 0 }, cost_usd: 0, unpriced_messages: 0 };
+      for (const kind of Object.keys(total.tokens)) total.tokens[kind] += agent.tokens[kind];
+      total.cost_usd += agent.cost_usd;
+      total.unpriced_messages += agent.unpriced_messages;
+    }
+    return total;
+  }
+
+  function applyUsage(sessions) {
+    for (const usage of sessions) state.usage.set(usage.session_id, usage);
+    renderAgentsView();
+  }
+
   // ── Filtering ──────────────────────────────────────────────
   function passesFilter(event) {
     const { session, agent, types } = state.filters;
@@ -542,7 +793,7 @@
     for (const s of state.sessions) {
       const opt = document.createElement('option');
       opt.value = s;
-      opt.textContent = s.length > 20 ? s.slice(0, 8) + '...' + s.slice(-8) : s;
+      applySessionOption(opt, s);
       if (s === curSession) opt.selected = true;
       dom.filterSession.appendChild(opt);
     }
@@ -613,6 +864,47 @@
     }
   }
 
+  // ── Render: Alerts ─────────────────────────────────────────
+  const SEVERITY_ORDER = { critical: 0, warning: 1, info: 2 };
+
+  function renderAlerts() {
+    const alerts = [...state.alerts.values()].sort((a, b) =>
+      (SEVERITY_ORDER[a.severity] ?? 3) - (SEVERITY_ORDER[b.severity] ?? 3) || a.fired_at.localeCompare(b.fired_at));
+    dom.alertCount.textContent = alerts.length ? alerts.length : '';
+    dom.alertList.innerHTML = '';
+    if (alerts.length === 0) {
+      dom.alertList.innerHTML = '<li class="alert-empty">No active alerts</li>';
+      return;
+    }
+    for (const alert of alerts) {
+      const li = document.createElement('li');
+      li.className = `alert-item severity-${alert.severity}`;
+      const scope = [alert.session_id ? sessionLabel(alert.session_id) : '', alert.agent || ''].filter(Boolean).join(' · ');
+      li.innerHTML = `
+        <div class="alert-title">${escapeHtml(alert.rule_name)}</div>
+        <div class="alert-message">${escapeHtml(alert.message)}</div>
+        ${scope ? `<div class="alert-scope">${escapeHtml(scope)}</div>` : ''}`;
+      li.title = `Firing since ${formatTime(alert.fired_at)}${alert.session_id ? ' · click to filter by session' : ''}`;
+      if (alert.session_id) {
+        li.addEventListener('click', () => {
+          state.filters.session = alert.session_id;
+          dom.filterSession.value = alert.session_id;
+          renderAll();
+        });
+      }
+      dom.alertList.appendChild(li);
+    }
+  }
+
+  function applyAlert(alert) {
+    if (alert.state === 'firing') {
+      state.alerts.set(alert.id, alert);
+    } else {
+      state.alerts.delete(alert.id);
+    }
+    renderAlerts();
+  }
+
   // ── Render: Timeline ───────────────────────────────────────
   function renderTimeline() {
     const filtered = getFilteredEvents();
@@ -676,7 +968,8 @@
         const cls = isToolError(ev) ? 'type-tool-error' : style.cls;
         block.className = `event-block ${cls}`;
         block.textContent = style.label;
-        block.title = `${extractEventType(ev)} - ${formatTime(ev.timestamp || ev.ts)}`;
+        if (typeof ev._seq === 'number') block.dataset.seq = ev._seq;
+        describeBlock(block, ev);
         block.addEventListener('click', () => showDetail(ev));
         container.appendChild(block);
       }
@@ -716,15 +1009,13 @@
 
     const curVal = state.activeTaskSession;
     selector.innerHTML = '';
-    for (const [sid] of state.tasksBySession) {
+    for (const sid of getTaskSessionKeys()) {
       const opt = document.createElement('option');
       opt.value = sid;
-      opt.textContent = sid.slice(0, 8) + '...';
-      // Try to find a project name from events of this session
-      const sampleEvent = state.events.find(e => extractSessionId(e) === sid && e.cwd);
-      if (sampleEvent) {
-        const project = sampleEvent.cwd.split('/').pop();
-        opt.textContent = `${project} (${sid.slice(0, 8)})`;
+      if (sid.startsWith('list:')) {
+        opt.textContent = `Task list: ${sid.slice(5)}`;
+      } else {
+        applySessionOption(opt, sid);
       }
       if (sid === curVal) opt.selected = true;
       selector.appendChild(opt);
@@ -910,14 +1201,7 @@
     for (const sid of state.sessions) {
       const opt = document.createElement('option');
       opt.value = sid;
-      // Try to find a project name
-      const sampleEvent = state.events.find(e => extractSessionId(e) === sid && e.cwd);
-      if (sampleEvent) {
-        const project = sampleEvent.cwd.split('/').pop();
-        opt.textContent = `${project} (${sid.slice(0, 8)})`;
-      } else {
-        opt.textContent = sid.slice(0, 8) + '...';
-      }
+      applySessionOption(opt, sid);
       if (sid === curVal) opt.selected = true;
       sel.appendChild(opt);
     }
@@ -934,6 +1218,17 @@
 
     const sessionId = getActiveAgentSession();
     const profiles = getSessionAgentProfiles(sessionId);
+    renderSessionCost(sessionId);
+
+    // The server's hierarchy reflects live data, not a session being replayed
+    const tree = state.replay ? null : state.agentTrees.get(sessionId);
+    if (tree) {
+      const list = document.createElement('div');
+      list.className = 'agent-tree';
+      list.appendChild(buildAgentTreeNode(sessionId, tree.root));
+      container.appendChild(list);
+      return;
+    }
 
     if (profiles.length === 0) {
       container.innerHTML = `
@@ -1017,6 +1312,104 @@
     }
   }
 
+  const AGENT_TREE_KINDS = {
+    main:     { type: 'main',     label: 'Main' },
+    subagent: { type: 'subagent', label: 'Sub' },
+    team:     { type: 'team',     label: 'Team' },
+    teammate: { type: 'team',     label: 'Member' },
+  };
+
+  // One agent with its card and, below it, the agents it spawned
+  function buildAgentTreeNode(sessionId, node) {
+    const key = `${sessionId}::${node.id}`;
+    const collapsed = state.collapsedAgents.has(key);
+    const kind = AGENT_TREE_KINDS[node.kind] || AGENT_TREE_KINDS.main;
+    const profile = node.kind === 'team' ? null : state.agentProfiles.get(getAgentProfileKey(sessionId, node.name));
+
+    const el = document.createElement('div');
+    el.className = `agent-tree-node${collapsed ? ' collapsed' : ''}`;
+
+    const row = document.createElement('div');
+    row.className = 'agent-tree-row';
+    const expandable = profile || node.children.length > 0;
+    const details = [];
+    if (node.agent_type && node.agent_type !== node.name) details.push(node.agent_type);
+    if (node.kind !== 'team') details.push(`${node.event_count} events`);
+    if (node.started_at && node.ended_at) details.push(formatDuration(Date.parse(node.ended_at) - Date.parse(node.started_at)));
+    row.innerHTML = `
+      <span class="agent-tree-toggle">${expandable ? (collapsed ? '▸' : '▾') : ''}</span>
+      <span class="legend-dot legend-${kind.type}"></span>
+      <span class="agent-tree-name" style="color:${profile ? profile.color : getAgentColor(node.name)}">${escapeHtml(node.name)}</span>
+      <span class="agent-card-type ${kind.type}">${kind.label}</span>
+      ${node.status ? `<span class="agent-card-status ${node.status}">${node.status}</span>` : ''}
+      <span class="agent-tree-meta">${escapeHtml(details.join(' · '))}</span>`;
+    if (node.spawned_by && node.spawned_by.description) {
+      const spawn = document.createElement('span');
+      spawn.className = 'agent-tree-spawn';
+      spawn.textContent = node.spawned_by.description;
+      spawn.title = `Spawned by ${node.spawned_by.tool_use_id}`;
+      spawn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        const ev = state.events.find(ev => ev._seq === node.spawned_by.seq);
+        if (ev) showDetail(ev);
+      });
+      row.appendChild(spawn);
+    }
+    if (node.children.length > 0) {
+      const count = document.createElement('span');
+      count.className = 'group-count';
+      count.textContent = node.children.length;
+      row.appendChild(count);
+    }
+    if (expandable) {
+      row.addEventListener('click', () => {
+        if (collapsed) state.collapsedAgents.delete(key);
+        else state.collapsedAgents.add(key);
+        renderAgentsView();
+      });
+    }
+    el.appendChild(row);
+
+    if (!collapsed) {
+      if (profile) el.appendChild(buildAgentCard(profile));
+      if (node.children.length > 0) {
+        const children = document.createElement('div');
+        children.className = 'agent-tree-children';
+        for (const child of node.children) children.appendChild(buildAgentTreeNode(sessionId, child));
+        el.appendChild(children);
+      }
+    }
+    return el;
+  }
+
+  // Session total against the budget, with the running cost since the first message
+  function renderSessionCost(sessionId) {
+    const usage = state.usage.get(sessionId);
+    dom.sessionCost.classList.toggle('hidden', !usage);
+    if (!usage) return;
+    const budget = state.budgets.session_usd;
+    dom.sessionCost.classList.toggle('over-budget', isOverBudget(usage.cost_usd, budget));
+    dom.sessionCostTotal.textContent = budget ? `${formatCost(usage.cost_usd)} / ${formatCost(budget)}` : formatCost(usage.cost_usd);
+    dom.sessionCost.title = `${formatTokens(totalTokens(usage.tokens))} tokens in ${usage.messages} messages\n${tokenBreakdown(usage)}`;
+
+    const svg = dom.sessionCostGraph;
+    const width = 160;
+    const height = 24;
+    const points = (usage.points || []).map(([t, cost]) => [Date.parse(t), cost]);
+    if (points.length < 2) {
+      svg.innerHTML = '';
+      return;
+    }
+    const t0 = points[0][0];
+    const span = Math.max(1, points[points.length - 1][0] - t0);
+    const max = Math.max(points[points.length - 1][1], budget || 0) || 1;
+    const x = (t) => ((t - t0) / span) * width;
+    const y = (cost) => height - 1 - (cost / max) * (height - 2);
+    let html = `<polyline class="cost-line" points="${points.map(([t, cost]) => `${x(t).toFixed(1)},${y(cost).toFixed(1)}`).join(' ')}"/>`;
+    if (budget) html += `<line class="cost-budget" x1="0" x2="${width}" y1="${y(budget)}" y2="${y(budget)}"/>`;
+    svg.innerHTML = html;
+  }
+
   function buildAgentCard(profile) {
     const card = document.createElement('div');
     card.className = `agent-card type-${profile.type}`;
@@ -1054,6 +1447,12 @@
       meta.innerHTML += `<span class="agent-meta-item"><span class="agent-meta-label">team:</span> <span class="agent-team-name">${escapeHtml(profile.teamName)}</span></span>`;
     }
     meta.innerHTML += `<span class="agent-meta-item"><span class="agent-meta-label">events:</span> ${profile.events.length}</span>`;
+    const usage = getProfileUsage(profile);
+    if (usage) {
+      const over = isOverBudget(usage.cost_usd, state.budgets.agent_usd);
+      card.classList.toggle('over-budget', over);
+      meta.innerHTML += `<span class="agent-meta-item agent-cost${over ? ' over-budget' : ''}" title="${escapeHtml(tokenBreakdown(usage))}"><span class="agent-meta-label">cost:</span> ${formatCost(usage.cost_usd)} · ${formatTokens(totalTokens(usage.tokens))} tok</span>`;
+    }
     if (profile.startTime) {
       meta.innerHTML += `<span class="agent-meta-item"><span class="agent-meta-label">started:</span> ${formatTime(profile.startTime)}</span>`;
     }
@@ -1102,6 +1501,14 @@
         item.appendChild(time);
         item.appendChild(badge);
         item.appendChild(summary);
+
+        const call = getToolCall(ev);
+        if (call && call.duration_ms !== null && call.end_seq === ev._seq) {
+          const duration = document.createElement('span');
+          duration.className = `agent-activity-duration ${call.status}`;
+          duration.textContent = formatCallDuration(call.duration_ms);
+          item.appendChild(duration);
+        }
         item.addEventListener('click', () => showDetail(ev));
         list.appendChild(item);
       }
@@ -1142,6 +1549,117 @@
     }
   }
 
+  // ── Conversation ───────────────────────────────────────────
+  // TranscriptMessage events are uploaded by hooks/send-transcript.py when
+  // MOHANO_TRANSCRIPTS=true. Claude Code logs each content block of a reply
+  // as its own entry, so entries sharing a message id merge into one turn.
+  function addTranscriptMessage(event) {
+    const session = extractSessionId(event);
+    if (!state.transcripts.has(session)) {
+      state.transcripts.set(session, { turns: [], byMessage: new Map() });
+    }
+    const conv = state.transcripts.get(session);
+    const messageId = event.message_id || event.uuid || `seq-${event._seq}`;
+    let turn = conv.byMessage.get(messageId);
+    if (!turn) {
+      turn = {
+        id: `turn-${event._seq}`,
+        session,
+        role: event.role || 'assistant',
+        agent: event.sidechain ? (event.agent_id || 'subagent') : '',
+        timestamp: event.timestamp,
+        text: [],
+        thinking: [],
+        toolUses: [],
+      };
+      conv.turns.push(turn);
+      conv.byMessage.set(messageId, turn);
+    }
+    if (event.text) turn.text.push(event.text);
+    if (event.thinking) turn.thinking.push(event.thinking);
+    // Every entry of a reply repeats its usage: keep the latest
+    if (event.usage) turn.usage = event.usage;
+    if (typeof event._cost_usd === 'number') turn.cost = event._cost_usd;
+    for (const use of event.tool_uses || []) {
+      turn.toolUses.push(use);
+      if (use.id) state.toolUseTurns.set(use.id, turn);
+    }
+    state.lastTranscriptSession = session;
+  }
+
+  // Hook event for a tool call, preferring the Post event (it has the result)
+  function findToolEvent(toolUseId) {
+    let pre = null;
+    for (let i = state.events.length - 1; i >= 0; i--) {
+      const ev = state.events[i];
+      if (ev.tool_use_id !== toolUseId) continue;
+      if (extractEventType(ev) !== 'PreToolUse') return ev;
+      pre = ev;
+    }
+    return pre;
+  }
+
+  function renderConversation() {
+    if (!dom.conversationView.classList.contains('active')) return;
+    const session = state.filters.session || state.conversationSession || state.lastTranscriptSession;
+    const conv = state.transcripts.get(session);
+    dom.conversationList.innerHTML = '';
+    if (!conv) {
+      dom.conversationInfo.textContent = '';
+      dom.conversationList.innerHTML = '<div class="empty-state">No conversation uploaded for this session. Set MOHANO_TRANSCRIPTS=true in ~/.config/mohano/config to send prompts and replies.</div>';
+      return;
+    }
+    dom.conversationInfo.textContent = `Session ${session.slice(0, 8)} · ${conv.turns.length} messages`;
+
+    for (const turn of conv.turns) {
+      const el = document.createElement('div');
+      el.className = `conv-turn conv-${turn.role}${turn.agent ? ' conv-sidechain' : ''}`;
+      el.dataset.turn = turn.id;
+      const who = turn.role === 'user' ? (turn.agent ? 'Prompt' : 'User') : 'Assistant';
+      let html = `<div class="conv-meta"><span class="conv-role">${who}</span>`;
+      if (turn.agent) html += `<span class="conv-agent">${escapeHtml(turn.agent)}</span>`;
+      html += `<span class="conv-time">${formatTime(turn.timestamp)}</span>`;
+      if (turn.usage) {
+        const out = turn.usage.output_tokens || 0;
+        html += `<span class="conv-cost">${turn.cost !== undefined ? formatCost(turn.cost) + ' · ' : ''}${formatTokens(out)} out</span>`;
+      }
+      html += '</div>';
+      if (turn.thinking.length) {
+        html += `<details class="conv-thinking"><summary>Thinking</summary><div class="conv-text">${escapeHtml(turn.thinking.join('\n\n'))}</div></details>`;
+      }
+      if (turn.text.length) html += `<div class="conv-text">${escapeHtml(turn.text.join('\n\n'))}</div>`;
+      if (turn.toolUses.length) {
+        html += '<div class="conv-tools">';
+        for (const use of turn.toolUses) {
+          const found = use.id && findToolEvent(use.id);
+          html += `<button class="conv-tool" data-tool-use-id="${escapeHtml(use.id || '')}"${found ? '' : ' disabled title="No hook event received for this call"'}>${escapeHtml(use.name || 'tool')}</button>`;
+        }
+        html += '</div>';
+      }
+      el.innerHTML = html;
+      for (const btn of el.querySelectorAll('.conv-tool:not([disabled])')) {
+        btn.addEventListener('click', () => {
+          const ev = findToolEvent(btn.dataset.toolUseId);
+          if (ev) showDetail(ev);
+        });
+      }
+      dom.conversationList.appendChild(el);
+    }
+  }
+
+  // Jump from a tool call to the assistant turn that issued it
+  function showTurn(toolUseId) {
+    const turn = state.toolUseTurns.get(toolUseId);
+    if (!turn) return;
+    state.conversationSession = turn.session;
+    switchView('conversation');
+    const el = dom.conversationList.querySelector(`[data-turn="${turn.id}"]`);
+    if (!el) return; // hidden by the session filter
+    el.scrollIntoView({ block: 'center' });
+    el.classList.add('highlight');
+    setTimeout(() => el.classList.remove('highlight'), 2000);
+  }
+
   // ── Render: Counters ───────────────────────────────────────
   function renderCounters() {
     dom.eventCount.textContent = `${state.events.length} events`;
@@ -1171,6 +1689,14 @@
       html += `<div class="detail-section-title">Tool Call</div>`;
       html += `<div class="detail-fields">`;
       html += field('Tool', event.tool_name);
+      if (event.tool_use_id && state.toolUseTurns.has(event.tool_use_id)) {
+        html += field('Issued By', `<button class="btn-small detail-show-turn" data-tool-use-id="${escapeHtml(event.tool_use_id)}">Show assistant turn</button>`);
+      }
+      const call = getToolCall(event);
+      if (call) {
+        html += field('Call Status', call.status);
+        if (call.duration_ms !== null) html += field('Duration', formatCallDuration(call.duration_ms));
+      }
 
       if (event.tool_input) {
         const inp = event.tool_input;
@@ -1252,6 +1778,28 @@
       html += `</div></div>`;
     }
 
+    // Section: oversized fields cut to a preview on ingest (full value loads on demand)
+    if (Array.isArray(event._truncated) && event._truncated.length && typeof event._seq === 'number') {
+      html += `<div class="detail-section">`;
+      html += `<div class="detail-section-title">Truncated Fields</div>`;
+      html += `<div class="detail-fields">`;
+      for (const t of event._truncated) {
+        html += field(t.path, `<button class="btn-small detail-load-field" data-seq="${event._source_seq || event._seq}" data-path="${escapeHtml(t.path)}">Load full value (${formatBytes(t.size)})</button>`);
+      }
+      html += `</div></div>`;
+    }
+
+    // Section: fields the server scrubbed on ingest
+    if (Array.isArray(event._redacted) && event._redacted.length) {
+      html += `<div class="detail-section detail-redacted">`;
+      html += `<div class="detail-section-title">Redacted Fields</div>`;
+      html += `<div class="detail-fields">`;
+      for (const r of event._redacted) {
+        html += field(r.path, (r.kinds || []).join(', '));
+      }
+      html += `</div></div>`;
+    }
+
     return html;
   }
 
@@ -1259,6 +1807,29 @@
     return `<div class="detail-field-key">${escapeHtml(key)}</div><div class="detail-field-value">${typeof value === 'string' && !value.includes('<') ? escapeHtml(value) : value}</div>`;
   }
 
+  function formatBytes(n) {
+    if (n < 1024) return `${n} B`;
+    if (n < 1024 * 1024) return `${(n / 1024).toFixed(1)} KB`;
+    return `${(n / 1024 / 1024).toFixed(1)} MB`;
+  }
+
+  async function loadFullField(button) {
+    const { seq, path } = button.dataset;
+    button.disabled = true;
+    button.textContent = 'Loading...';
+    try {
+      const res = await fetch(apiUrl(`/api/events/${seq}/fields/${encodeURIComponent(path)}`));
+      if (!res.ok) throw new Error(res.status === 404 ? 'no longer retained' : `HTTP ${res.status}`);
+      const data = await res.json();
+      const pre = document.createElement('pre');
+      pre.className = 'detail-full-value';
+      pre.textContent = typeof data.value === 'string' ? data.value : JSON.stringify(data.value, null, 2);
+      button.replaceWith(pre);
+    } catch (e) {
+      button.textContent = `Failed to load (${e.message})`;
+    }
+  }
+
   function truncate(str, max) {
     if (!str) return '-';
     str = String(str);
@@ -1274,6 +1845,15 @@
     // Parsed view
     const parsedEl = $('#detail-parsed');
     parsedEl.innerHTML = buildParsedView(event);
+    for (const btn of parsedEl.querySelectorAll('.detail-load-field')) {
+      btn.addEventListener('click', () => loadFullField(btn));
+    }
+    for (const btn of parsedEl.querySelectorAll('.detail-show-turn')) {
+      btn.addEventListener('click', () => {
+        hideDetail();
+        showTurn(btn.dataset.toolUseId);
+      });
+    }
 
     // Raw JSON view
     dom.detailJson.innerHTML = syntaxHighlightJson(event);
@@ -1300,10 +1880,12 @@
 
     renderFilterOptions();
     renderAgentList();
+    renderAlerts();
     renderCounters();
     renderTimeline();
     renderTaskGraph();
     renderAgentsView();
+    renderConversation();
     renderEventLog();
   }
 
@@ -1314,6 +1896,7 @@
     renderTimeline();
     renderTaskGraph();
     renderAgentsView();
+    renderConversation();
     renderEventLog();
   }
 
@@ -1324,11 +1907,26 @@
 
   function getWsUrl() {
     const proto = location.protocol === 'https:' ? 'wss:' : 'ws:';
-    const base = `${proto}//${location.host}/ws`;
-    return WORKSPACE_TOKEN ? `${base}?token=${encodeURIComponent(WORKSPACE_TOKEN)}` : base;
+    const params = new URLSearchParams();
+    if (WORKSPACE_TOKEN) params.set('token', WORKSPACE_TOKEN);
+    params.set('since_seq', String(state.lastSeq));
+    return `${proto}//${location.host}/ws?${params}`;
+  }
+
+  function getStreamUrl() {
+    return apiUrl(`/api/stream?since_seq=${state.lastSeq}`);
   }
 
   // ── WebSocket ──────────────────────────────────────────────
+  const WS_FAILURES_BEFORE_SSE = 3;
+  const WS_PROBE_MIN_MS = 60 * 1000; // on SSE, WebSocket is tried again after this, doubling
+  const WS_PROBE_MAX_MS = 30 * 60 * 1000;
+
+  // The server closes streams with 1012 when it shuts down for a restart or deploy
+  const SERVER_RESTART_CODE = 1012;
+  const RESTART_RETRY_MS = 1000;
+  const RESTART_WAIT_MS = 2 * 60 * 1000; // then fall back to the usual backoff
+
   function setConnectionStatus(status, message) {
     dom.connectionStatus.className = `status-dot ${status}`;
     if (message) {
@@ -1341,7 +1939,11 @@
   }
 
   function connectWebSocket() {
-    if (state.tokenError) return;
+    if (state.tokenError || state.replay) return;
+    if (state.transport === 'sse') {
+      connectEventSource();
+      return;
+    }
     if (state.ws && (state.ws.readyState === WebSocket.OPEN || state.ws.readyState === WebSocket.CONNECTING)) {
       return;
     }
@@ -1357,35 +1959,36 @@
       return;
     }
 
+    let opened = false;
     state.ws.onopen = () => {
+      opened = true;
+      state.wsFailures = 0;
+      state.restartingSince = 0;
       setConnectionStatus('connected');
       state.reconnectDelay = 1000;
       console.log('WebSocket connected');
     };
 
-    state.ws.onmessage = (msg) => {
-      try {
-        const data = JSON.parse(msg.data);
-        // Could be a single event or an array
-        const events = Array.isArray(data) ? data : [data];
-        for (const ev of events) {
-          processEvent(ev);
-        }
-        renderIncremental();
-      } catch (e) {
-        console.warn('Failed to parse WebSocket message:', e);
-      }
-    };
+    state.ws.onmessage = (msg) => handleStreamMessage(msg.data);
 
     state.ws.onclose = (e) => {
-      if (e.code === 4001) {
-        state.tokenError = true;
-        setConnectionStatus('disconnected', 'Invalid workspace token');
-        console.warn('WebSocket closed: invalid workspace token');
-        return; // Do not reconnect
+      if (state.replay) return; // closed to start a replay
+      if (handleFatalClose(e.code)) return; // Do not reconnect
+      if (e.code === SERVER_RESTART_CODE) state.restartingSince = Date.now();
+      if (isServerRestarting()) {
+        setConnectionStatus('connecting', 'Server restarting');
+        scheduleReconnect();
+        return; // Failed attempts while it is down are not a sign of a bad proxy
       }
       setConnectionStatus('disconnected');
       console.log('WebSocket disconnected');
+      // Proxies that strip `Upgrade` fail every attempt: switch to Server-Sent Events
+      if (!opened && ++state.wsFailures >= WS_FAILURES_BEFORE_SSE && window.EventSource) {
+        console.warn(`WebSocket failed ${state.wsFailures} times; falling back to Server-Sent Events`);
+        state.transport = 'sse';
+        state.reconnectDelay = 1000;
+        state.wsProbeDelay = WS_PROBE_MIN_MS;
+      }
       scheduleReconnect();
     };
 
@@ -1395,14 +1998,287 @@
     };
   }
 
+  // Same stream over SSE. The browser reconnects a dropped stream by itself,
+  // resuming with `Last-Event-ID`; we only start over when it gives up.
+  function connectEventSource() {
+    if (state.es && state.es.readyState !== EventSource.CLOSED) return;
+
+    setConnectionStatus('connecting');
+    const es = new EventSource(getStreamUrl());
+    state.es = es;
+
+    es.onopen = () => {
+      state.restartingSince = 0;
+      setConnectionStatus('connected', 'Connected (SSE)');
+      state.reconnectDelay = 1000;
+      console.log('Event stream connected');
+      scheduleWebSocketProbe();
+    };
+
+    es.onmessage = (msg) => handleStreamMessage(msg.data);
+
+    es.onerror = () => {
+      if (es.readyState === EventSource.CONNECTING) {
+        setConnectionStatus('connecting', isServerRestarting() ? 'Server restarting' : undefined);
+        return;
+      }
+      // Rejected (e.g. 401) rather than dropped: the browser will not retry
+      es.close();
+      state.es = null;
+      setConnectionStatus(isServerRestarting() ? 'connecting' : 'disconnected', isServerRestarting() ? 'Server restarting' : undefined);
+      scheduleReconnect();
+    };
+  }
+
+  // The failures that moved us to SSE may have been an outage rather than a
+  // proxy that strips `Upgrade`: while on SSE, try WebSocket now and then and
+  // switch back once it opens
+  function scheduleWebSocketProbe() {
+    clearTimeout(state.wsProbeTimer);
+    state.wsProbeTimer = setTimeout(probeWebSocket, state.wsProbeDelay);
+  }
+
+  function probeWebSocket() {
+    state.wsProbeTimer = null;
+    if (state.transport !== 'sse' || !state.es || state.replay || state.tokenError) return;
+    const retry = () => {
+      state.wsProbeDelay = Math.min(state.wsProbeDelay * 2, WS_PROBE_MAX_MS);
+      scheduleWebSocketProbe();
+    };
+    let ws;
+    try {
+      ws = new WebSocket(getWsUrl());
+    } catch (e) {
+      retry();
+      return;
+    }
+    ws.onopen = () => {
+      ws.onclose = null;
+      ws.close();
+      console.log('WebSocket works again; leaving Server-Sent Events');
+      state.transport = 'ws';
+      state.wsFailures = 0;
+      closeStream();
+      connectWebSocket();
+    };
+    ws.onclose = retry;
+  }
+
+  function closeStream() {
+    if (state.ws) state.ws.close();
+    if (state.es) {
+      state.es.close();
+      state.es = null;
+    }
+  }
+
+  // One message from the live stream, identical over WebSocket and SSE
+  function handleStreamMessage(raw) {
+    try {
+      const data = JSON.parse(raw);
+      if (!Array.isArray(data) && data._type) {
+        handleControlMessage(data);
+        return;
+      }
+      // Could be a single event or an array
+      const events = Array.isArray(data) ? data : [data];
+      for (const ev of events) {
+        if (acceptEvent(ev)) processEvent(ev);
+      }
+      renderIncremental();
+    } catch (e) {
+      console.warn('Failed to parse stream message:', e);
+    }
+  }
+
+  // Close codes that mean the dashboard's token no longer works. Returns true
+  // when the client must not reconnect.
+  function handleFatalClose(code) {
+    if (code === 4001) {
+      state.tokenError = true;
+      setConnectionStatus('disconnected', 'Invalid workspace token');
+      console.warn('Stream closed: invalid workspace token');
+      return true;
+    }
+    if (code === 4003) {
+      state.tokenError = true;
+      setConnectionStatus('disconnected', 'Workspace deleted');
+      console.warn('Stream closed: workspace deleted');
+      return true;
+    }
+    return false;
+  }
+
+  // Server control messages (tagged with `_type`, never plain events)
+  function handleControlMessage(msg) {
+    if (msg._type === 'close') {
+      // SSE has no close codes: the server sends them as a last message
+      if (state.es) state.es.close();
+      state.es = null;
+      if (handleFatalClose(msg.code)) return;
+      if (msg.code === SERVER_RESTART_CODE) {
+        state.restartingSince = Date.now();
+        setConnectionStatus('connecting', 'Server restarting');
+      } else {
+        setConnectionStatus('disconnected');
+      }
+      scheduleReconnect();
+      return;
+    }
+    if (msg._type === 'tool_calls') {
+      registerToolCalls(msg.calls || []);
+      updateToolCallBlocks(msg.calls || []);
+      renderAgentsView();
+      return;
+    }
+    if (msg._type === 'alert') {
+      applyAlert(msg.alert);
+      return;
+    }
+    if (msg._type === 'tasks') {
+      applyTaskChanges(msg.changes || []);
+      return;
+    }
+    if (msg._type === 'usage') {
+      applyUsage(msg.sessions || []);
+      return;
+    }
+    if (msg._type === 'resume') {
+      if (msg.reset) {
+        // Server no longer has our history (workspace reset or lost on restart)
+        console.warn('Server history was reset; reloading from scratch');
+        resetState();
+        renderAll();
+      }
+      // Completions and alerts broadcast while we were away are not part of the backfill
+      if (msg.count > 0) loadToolCalls();
+      if (msg.count > 0 || msg.reset) loadAlerts();
+      if (msg.count > 0 || msg.reset) loadTasks();
+      if (msg.count > 0 || msg.reset) loadUsage();
+      if (msg.gap) {
+        console.warn(`Missed ${msg.lost} events while disconnected (older than the server's retained buffer)`);
+        setConnectionStatus('connected', `Connected (${msg.lost} events missed)`);
+      }
+    }
+  }
+
+  function isServerRestarting() {
+    return state.restartingSince > 0 && Date.now() - state.restartingSince < RESTART_WAIT_MS;
+  }
+
   function scheduleReconnect() {
     if (state.reconnectTimer) clearTimeout(state.reconnectTimer);
+    // A restarting server is back within seconds: poll steadily instead of backing off
+    const delay = isServerRestarting() ? RESTART_RETRY_MS : state.reconnectDelay;
     state.reconnectTimer = setTimeout(() => {
-      console.log(`Reconnecting (delay: ${state.reconnectDelay}ms)...`);
+      console.log(`Reconnecting (delay: ${delay}ms)...`);
       connectWebSocket();
       // Exponential backoff, max 30s
-      state.reconnectDelay = Math.min(state.reconnectDelay * 1.5, 30000);
-    }, state.reconnectDelay);
+      if (!isServerRestarting()) state.reconnectDelay = Math.min(state.reconnectDelay * 1.5, 30000);
+    }, delay);
+  }
+
+  // ── Replay ─────────────────────────────────────────────────
+  // Plays one session back from the server at its recorded pace (or faster).
+  // The live socket is closed meanwhile and the dashboard shows only the replay.
+  function replayUrl(sessionId) {
+    const proto = location.protocol === 'https:' ? 'wss:' : 'ws:';
+    const params = new URLSearchParams();
+    if (WORKSPACE_TOKEN) params.set('token', WORKSPACE_TOKEN);
+    params.set('replay_session', sessionId);
+    return `${proto}//${location.host}/ws?${params}`;
+  }
+
+  function renderReplaySessions(selected) {
+    const sessions = [...state.sessionInfo.values()]
+      .sort((a, b) => Date.parse(b.last_event_at) - Date.parse(a.last_event_at))
+      .map(info => info.session_id);
+    for (const sid of state.sessions) if (!sessions.includes(sid)) sessions.push(sid);
+    dom.replaySession.innerHTML = '';
+    for (const sid of sessions) {
+      const opt = document.createElement('option');
+      opt.value = sid;
+      applySessionOption(opt, sid);
+      dom.replaySession.appendChild(opt);
+    }
+    dom.replaySession.value = selected;
+  }
+
+  function startReplay(sessionId) {
+    if (state.replay && state.replay.ws) {
+      state.replay.ws.onclose = null;
+      state.replay.ws.close();
+    }
+    if (state.reconnectTimer) clearTimeout(state.reconnectTimer);
+    const ws = new WebSocket(replayUrl(sessionId));
+    state.replay = { session: sessionId, ws, info: null };
+    closeStream();
+    document.body.classList.add('replaying');
+    dom.replayBar.classList.remove('hidden');
+    resetState();
+    renderAll();
+    setConnectionStatus('connecting', 'Replay: connecting...');
+
+    ws.onmessage = (msg) => {
+      try {
+        const data = JSON.parse(msg.data);
+        if (!Array.isArray(data) && data._type === 'replay') {
+          if (data.reset) {
+            resetState();
+            renderAll();
+          }
+          applyReplayState(data.state);
+          return;
+        }
+        if (!Array.isArray(data) && data._type) {
+          handleControlMessage(data);
+          return;
+        }
+        const events = Array.isArray(data) ? data : [data];
+        for (const ev of events) {
+          if (acceptEvent(ev)) processEvent(ev);
+        }
+        renderIncremental();
+      } catch (e) {
+        console.warn('Failed to parse replay message:', e);
+      }
+    };
+    ws.onclose = (e) => {
+      if (!state.replay || state.replay.ws !== ws) return;
+      setConnectionStatus('disconnected', e.code === SERVER_RESTART_CODE ? 'Replay ended: server restarting' : 'Replay disconnected');
+    };
+  }
+
+  function applyReplayState(info) {
+    state.replay.info = info;
+    const sid = info.session_id;
+    setConnectionStatus('connected', `Replay: ${sessionLabel(sid)}`);
+    dom.replayPlay.textContent = info.playing ? 'Pause' : 'Play';
+    dom.replayPlay.classList.toggle('active', info.playing);
+    for (const btn of dom.replaySpeeds) btn.classList.toggle('active', Number(btn.dataset.speed) === info.speed);
+    dom.replaySeek.max = String(info.total);
+    if (!dom.replaySeek.matches(':active')) dom.replaySeek.value = String(info.position);
+    dom.replayPosition.textContent = `${info.position} / ${info.total}${info.time ? ` · ${formatTime(info.time)}` : ''}`;
+    dom.replayStep.disabled = info.position >= info.total;
+  }
+
+  function sendReplay(action, extra = {}) {
+    const ws = state.replay && state.replay.ws;
+    if (ws && ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify({ _type: 'replay', action, ...extra }));
+  }
+
+  function exitReplay() {
+    if (!state.replay) return;
+    const { ws } = state.replay;
+    state.replay = null;
+    ws.onclose = null;
+    ws.close();
+    document.body.classList.remove('replaying');
+    dom.replayBar.classList.add('hidden');
+    resetState();
+    renderAll();
+    state.reconnectDelay = 1000;
+    loadLiveData();
   }
 
   // ── Initial Data Load ──────────────────────────────────────
@@ -1411,35 +2287,169 @@
     return WORKSPACE_TOKEN ? `${getBaseUrl()}${path}${sep}token=${encodeURIComponent(WORKSPACE_TOKEN)}` : `${getBaseUrl()}${path}`;
   }
 
+  // Most recent page first; older pages are fetched as the user scrolls back
+  const EVENT_PAGE_SIZE = 500;
+
   async function loadInitialData() {
     try {
-      const res = await fetch(apiUrl('/api/events'));
+      const res = await fetch(apiUrl(`/api/events?page=latest&limit=${EVENT_PAGE_SIZE}`));
       if (!res.ok) throw new Error(`HTTP ${res.status}`);
       const data = await res.json();
       const events = Array.isArray(data) ? data : (data.events || []);
       for (const ev of events) {
-        processEvent(ev);
+        if (acceptEvent(ev)) processEvent(ev);
       }
+      state.olderCursor = data.older || null;
       renderAll();
     } catch (e) {
       console.log('Could not load initial data (server may not be running yet):', e.message);
     }
   }
 
+  async function loadOlderEvents() {
+    if (!state.olderCursor || state.loadingOlder || state.replay) return;
+    state.loadingOlder = true;
+    const cursor = state.olderCursor;
+    try {
+      const res = await fetch(apiUrl(`/api/events?cursor=${encodeURIComponent(cursor)}&limit=${EVENT_PAGE_SIZE}`));
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      const data = await res.json();
+      // Dropped meanwhile (reset, replay): the page no longer fits our state
+      if (state.olderCursor !== cursor) return;
+      state.olderCursor = data.older || null;
+      if (data.events.length) prependHistory(data.events);
+    } catch (e) {
+      console.log('Could not load older events:', e.message);
+    } finally {
+      state.loadingOlder = false;
+    }
+  }
+
+  // Agent profiles, tasks and the conversation are built up in event order,
+  // so older events mean rebuilding them from the start
+  function prependHistory(older) {
+    const history = [...older, ...state.history];
+    const logScrollFromBottom = dom.bottomPanelContent.scrollHeight - dom.bottomPanelContent.scrollTop;
+    resetEventState();
+    for (const ev of history) {
+      if (acceptEvent(ev)) processEvent(ev);
+    }
+    renderAll();
+    // Keep the rows the user was looking at in place
+    dom.bottomPanelContent.scrollTop = dom.bottomPanelContent.scrollHeight - logScrollFromBottom;
+  }
+
+  async function loadToolCalls() {
+    try {
+      const res = await fetch(apiUrl('/api/tool-calls'));
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      const calls = await res.json();
+      registerToolCalls(calls);
+      updateToolCallBlocks(calls);
+      renderAgentsView();
+    } catch (e) {
+      console.log('Could not load tool calls:', e.message);
+    }
+  }
+
+  async function loadTasks() {
+    try {
+      const res = await fetch(apiUrl('/api/tasks'));
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      state.fileTasks.clear();
+      applyTaskChanges((await res.json()).map(task => ({ op: 'upsert', task })));
+    } catch (e) {
+      console.log('Could not load task files:', e.message);
+    }
+  }
+
+  async function loadUsage() {
+    try {
+      const res = await fetch(apiUrl('/api/usage'));
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      const data = await res.json();
+      state.budgets = data.budgets || state.budgets;
+      state.usage.clear();
+      applyUsage(data.sessions || []);
+    } catch (e) {
+      console.log('Could not load usage:', e.message);
+    }
+  }
+
+  async function loadAlerts() {
+    try {
+      const res = await fetch(apiUrl('/api/alerts?state=firing'));
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      state.alerts.clear();
+      for (const alert of await res.json()) state.alerts.set(alert.id, alert);
+      renderAlerts();
+    } catch (e) {
+      console.log('Could not load alerts:', e.message);
+    }
+  }
+
+  async function loadSessions() {
+    try {
+      const res = await fetch(apiUrl('/api/sessions'));
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      const sessions = await res.json();
+      for (const info of sessions) {
+        state.sessionInfo.set(info.session_id, info);
+      }
+      renderFilterOptions();
+      renderTaskSessionSelector();
+      renderAgentsSessionSelector();
+    } catch (e) {
+      console.log('Could not load sessions:', e.message);
+    }
+  }
+
+  async function loadAgentTree(sessionId) {
+    if (!sessionId) return;
+    try {
+      const res = await fetch(apiUrl(`/api/agents/tree?session_id=${encodeURIComponent(sessionId)}`));
+      if (res.status === 404) return;
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      state.agentTrees.set(sessionId, await res.json());
+      if (sessionId === getActiveAgentSession()) renderAgentsView();
+    } catch (e) {
+      console.log('Could not load agent tree:', e.message);
+    }
+  }
+
+  function scheduleAgentTreeRefresh() {
+    if (state.agentTreeTimer) return;
+    state.agentTreeTimer = setTimeout(() => {
+      state.agentTreeTimer = null;
+      loadAgentTree(getActiveAgentSession());
+    }, 1000);
+  }
+
+  // Coalesce refreshes while a burst of events streams in
+  function scheduleSessionRefresh() {
+    if (state.sessionRefreshTimer) return;
+    state.sessionRefreshTimer = setTimeout(() => {
+      state.sessionRefreshTimer = null;
+      loadSessions();
+    }, 1000);
+  }
+
   // ── Event Handlers ─────────────────────────────────────────
+  function switchView(name) {
+    for (const t of dom.viewTabs) t.classList.toggle('active', t.dataset.view === name);
+    for (const v of dom.views) v.classList.remove('active');
+    const view = document.getElementById(`view-${name}`);
+    if (view) view.classList.add('active');
+    if (name === 'taskgraph') {
+      requestAnimationFrame(drawDependencyArrows);
+    }
+    if (name === 'conversation') renderConversation();
+  }
+
   function setupEventHandlers() {
     // Tab switching
     for (const tab of dom.viewTabs) {
-      tab.addEventListener('click', () => {
-        for (const t of dom.viewTabs) t.classList.remove('active');
-        for (const v of dom.views) v.classList.remove('active');
-        tab.classList.add('active');
-        const view = document.getElementById(`view-${tab.dataset.view}`);
-        if (view) view.classList.add('active');
-        if (tab.dataset.view === 'taskgraph') {
-          requestAnimationFrame(drawDependencyArrows);
-        }
-      });
+      tab.addEventListener('click', () => switchView(tab.dataset.view));
     }
 
     // Auto-scroll toggle
@@ -1502,11 +2512,42 @@
       });
     }
 
+    // Scrolling back to the start of the log or a timeline lane loads older events
+    dom.bottomPanelContent.addEventListener('scroll', () => {
+      if (dom.bottomPanelContent.scrollTop < 50) loadOlderEvents();
+    });
+    dom.timelineLanes.addEventListener('scroll', (e) => {
+      if (e.target.classList && e.target.classList.contains('lane-events') && e.target.scrollLeft < 50) loadOlderEvents();
+    }, true);
+
     // Agents session selector
     dom.agentsSessionSel.addEventListener('change', () => {
       state.activeAgentSession = dom.agentsSessionSel.value;
       renderAgentsView();
+      loadAgentTree(state.activeAgentSession);
+    });
+
+    // Replay controls
+    dom.btnReplay.addEventListener('click', () => {
+      const sid = state.filters.session || state.activeAgentSession || [...state.sessions].pop();
+      if (!sid) return;
+      renderReplaySessions(sid);
+      startReplay(sid);
+    });
+    dom.replaySession.addEventListener('change', () => startReplay(dom.replaySession.value));
+    dom.replayPlay.addEventListener('click', () => {
+      sendReplay(state.replay && state.replay.info && state.replay.info.playing ? 'pause' : 'play');
+    });
+    dom.replayStep.addEventListener('click', () => sendReplay('step'));
+    for (const btn of dom.replaySpeeds) {
+      btn.addEventListener('click', () => sendReplay('speed', { speed: Number(btn.dataset.speed) }));
+    }
+    dom.replaySeek.addEventListener('input', () => {
+      const info = state.replay && state.replay.info;
+      if (info) dom.replayPosition.textContent = `${dom.replaySeek.value} / ${info.total}`;
     });
+    dom.replaySeek.addEventListener('change', () => sendReplay('seek', { position: Number(dom.replaySeek.value) }));
+    dom.replayExit.addEventListener('click', exitReplay);
 
     // Redraw dependency arrows on resize
     window.addEventListener('resize', () => {
@@ -1515,11 +2556,21 @@
   }
 
   // ── Init ───────────────────────────────────────────────────
+  function loadLiveData() {
+    // Connect after the initial fetch so the socket backfills from its last `_seq`
+    loadInitialData().then(() => {
+      connectWebSocket();
+      loadToolCalls();
+      loadAlerts();
+      loadTasks();
+      loadUsage();
+    });
+  }
+
   function init() {
     setupEventHandlers();
     renderAll();
-    loadInitialData();
-    connectWebSocket();
+    loadLiveData();
   }
 
   if (document.readyState === 'loading') {
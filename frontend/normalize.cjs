@@ -0,0 +1,125 @@
+// Mohano - Event normalizer
+// Maps raw hook payloads to one canonical, versioned shape; shared by the server (ingest) and the dashboard
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.MohanoNormalize = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  // Bump when the canonical shape changes; clients re-derive events stamped with another version
+  const VERSION = 1;
+
+  // Where a tool call's subject lives in `tool_input`, most specific first
+  const TARGET_FIELDS = [
+    ['file_path', 'file'],
+    ['notebook_path', 'file'],
+    ['command', 'command'],
+    ['pattern', 'pattern'],
+    ['url', 'url'],
+    ['query', 'query'],
+    ['prompt', 'prompt'],
+    ['description', 'description'],
+    ['subject', 'subject'],
+    ['taskId', 'task'],
+    ['path', 'file'], // Grep / Glob search root: less telling than the pattern
+  ];
+
+  // Payloads come from any sender: the first non-empty string (or number, as
+  // a string) among `values`, '' when there is none
+  function text(...values) {
+    for (const value of values) {
+      if (typeof value === 'string' && value) return value;
+      if (typeof value === 'number' && Number.isFinite(value)) return String(value);
+    }
+    return '';
+  }
+
+  // Real hooks send `hook_event_name`; older scripts and other senders use the rest
+  function eventType(raw) {
+    return text(raw.hook_event_name, raw.hook_type, raw.type, raw.eventType, raw.event_type) || 'Unknown';
+  }
+
+  function sessionId(raw) {
+    return text(raw.session_id, raw.sessionId, raw.session);
+  }
+
+  function toolName(raw) {
+    return text(raw.tool_name, raw.tool, raw.toolName);
+  }
+
+  // Display name: explicit names first, then what the event says about the
+  // agent, then the project (cwd basename) or short session id for the main agent
+  function agentName(raw, type) {
+    const named = text(raw.teammate_name, raw.agent_name, raw.agent, raw.agentName);
+    if (named) return named;
+    const tool = toolName(raw);
+    if (tool === 'Task' || tool === 'SendMessage') {
+      const name = text((raw.tool_input || {}).name, (raw.tool_response || {}).name);
+      if (name) return name;
+    }
+    // Sub-agent lifecycle events, and tool events from inside a sub-agent
+    const agentType = text(raw.agent_type);
+    if (agentType && (raw.agent_id || type === 'SubagentStart' || type === 'SubagentStop')) return agentType;
+    const cwd = text(raw.cwd);
+    if (cwd) return cwd.split('/').pop() || 'unknown';
+    const session = sessionId(raw);
+    if (session) return session.slice(0, 8);
+    return text(raw.owner) || 'unknown';
+  }
+
+  function agentKind(raw) {
+    if (raw.teammate_name || raw.team_name) return 'teammate';
+    if (raw.agent_id || raw.parent_agent_id || raw.parent_agent) return 'subagent';
+    return 'main';
+  }
+
+  function target(raw) {
+    const input = raw.tool_input;
+    if (!input || typeof input !== 'object') return null;
+    for (const [field, kind] of TARGET_FIELDS) {
+      const value = input[field];
+      if (value !== undefined && value !== null && value !== '') return { kind, value: String(value) };
+    }
+    return null;
+  }
+
+  function status(raw, type) {
+    if (type === 'PreToolUse') return 'running';
+    if (type === 'PostToolUseFailure') return 'failure';
+    if (type === 'PostToolUse') {
+      return raw.error || raw.status === 'error' || raw.success === false ? 'failure' : 'success';
+    }
+    if (type === 'SessionEnd') return 'ended';
+    if (type === 'Stop' || type === 'SubagentStop') return 'stopped';
+    if (type === 'TaskCompleted') return 'completed';
+    return null;
+  }
+
+  // Canonical form of a raw hook payload. The raw fields stay where they are;
+  // this is stored next to them (as `_canonical` on ingested events).
+  function normalizeEvent(raw) {
+    const type = eventType(raw);
+    const kind = agentKind(raw);
+    const tool = toolName(raw);
+    return {
+      v: VERSION,
+      type,
+      session_id: sessionId(raw),
+      agent: {
+        id: text(raw.agent_id, raw.teammate_name, raw.agent_name),
+        name: agentName(raw, type),
+        type: text(raw.agent_type),
+        kind, // main | subagent | teammate
+        team: text(raw.team_name),
+      },
+      // Agent that started this one ('main' for subagents of the session's main agent)
+      parent: kind === 'main' ? null : text(raw.parent_agent_id, raw.parent_agent) || 'main',
+      tool: tool ? { name: tool, use_id: text(raw.tool_use_id) } : null,
+      target: target(raw),
+      status: status(raw, type),
+    };
+  }
+
+  return { VERSION, normalizeEvent, eventType };
+});
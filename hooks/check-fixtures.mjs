@@ -0,0 +1,33 @@
+// Mohano - Normalizer fixtures
+// Runs every hooks/fixtures/*.json payload through normalizeEvent and compares the result with its expected canonical form
+
+import { readdirSync, readFileSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { isDeepStrictEqual } from 'node:util';
+import normalizer from '../frontend/normalize.cjs';
+
+const FIXTURES_DIR = join(dirname(fileURLToPath(import.meta.url)), 'fixtures');
+
+let failed = 0;
+for (const file of readdirSync(FIXTURES_DIR).filter(f => f.endsWith('.json')).sort()) {
+  const { payload, canonical } = JSON.parse(readFileSync(join(FIXTURES_DIR, file), 'utf-8'));
+  let actual;
+  try {
+    actual = normalizer.normalizeEvent(payload);
+  } catch (e) {
+    actual = { error: e.message };
+  }
+  if (isDeepStrictEqual(actual, canonical)) {
+    console.log(`ok    ${file}`);
+    continue;
+  }
+  failed++;
+  console.log(`FAIL  ${file}`);
+  console.log(`  expected ${JSON.stringify(canonical)}`);
+  console.log(`  actual   ${JSON.stringify(actual)}`);
+}
+if (failed) {
+  console.log(`${failed} fixture(s) failed`);
+  process.exitCode = 1;
+}
@@ -15,6 +15,7 @@ fi
 # Defaults (can be overridden by config file or env vars)
 MOHANO_URL="${MOHANO_URL:-http://localhost:7777}"
 MOHANO_API_KEY="${MOHANO_API_KEY:-}"
+MOHANO_TRANSCRIPTS="${MOHANO_TRANSCRIPTS:-false}"
 
 ENDPOINT="${MOHANO_URL}/api/events"
 
@@ -38,14 +39,39 @@ except Exception:
 " "$INPUT" 2>/dev/null) || ENRICHED="$INPUT"
 
 # Build curl args
-CURL_ARGS=(-s -X POST "$ENDPOINT" -H "Content-Type: application/json" -d "$ENRICHED" --max-time 2 -o /dev/null)
+CURL_ARGS=(-s -X POST "$ENDPOINT" -H "Content-Type: application/json" -d "$ENRICHED" --max-time 2 -o /dev/null
+  -w '%{http_code}')
 
 if [ -n "$MOHANO_API_KEY" ]; then
   CURL_ARGS+=(-H "Authorization: Bearer $MOHANO_API_KEY")
 fi
 
+# POST once, retrying only when the event was certainly not ingested: the
+# connection was refused (server restarting) or the server answered 503 (draining).
+# A timeout may have reached the server, so it is not retried. About 2s in all.
+post_event() {
+  local attempt status
+  for attempt in 1 2 3; do
+    status=$(curl "${CURL_ARGS[@]}")
+    if [ $? -ne 7 ] && [ "$status" != "503" ]; then
+      return
+    fi
+    if [ "$SECONDS" -ge 2 ] || [ "$attempt" -eq 3 ]; then
+      return
+    fi
+    sleep 0.5
+  done
+}
+
 # POST to the server in background, with a short timeout so it never hangs
-curl "${CURL_ARGS[@]}" &
+post_event &
+
+# Optionally upload new transcript entries (prompts, assistant replies) in the background
+if [ "$MOHANO_TRANSCRIPTS" = "true" ]; then
+  SCRIPT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")" && pwd)"
+  printf '%s' "$ENRICHED" | MOHANO_URL="$MOHANO_URL" MOHANO_API_KEY="$MOHANO_API_KEY" \
+    python3 "$SCRIPT_DIR/send-transcript.py" >/dev/null 2>&1 &
+fi
 
 # Always exit 0 so we never block Claude Code
 exit 0
@@ -0,0 +1,211 @@
+#!/usr/bin/env python3
+"""send-transcript.py - Upload new Claude Code transcript entries to the mohano server.
+
+Run by send-event.sh (when MOHANO_TRANSCRIPTS=true) with the hook event on stdin.
+Reads the session transcript, and for SubagentStop the subagent's transcript, from
+where the previous run stopped. User prompts and assistant messages become
+TranscriptMessage events, POSTed to /api/events/batch. Never raises: a failed upload
+is retried from the same offset by the next hook event.
+"""
+
+import hashlib
+import json
+import os
+import sys
+import time
+import urllib.error
+import urllib.request
+
+MOHANO_URL = os.environ.get('MOHANO_URL', 'http://localhost:7777').rstrip('/')
+MOHANO_API_KEY = os.environ.get('MOHANO_API_KEY', '')
+STATE_DIR = os.path.join(os.environ.get('XDG_CACHE_HOME') or os.path.expanduser('~/.cache'), 'mohano', 'transcripts')
+BATCH_SIZE = 200
+LOCK_WAIT_S = 3      # another upload for the same transcript may still be running
+STALE_LOCK_S = 60
+USAGE_KEYS = ('input_tokens', 'output_tokens', 'cache_creation_input_tokens', 'cache_read_input_tokens')
+
+
+def state_file(path):
+    return os.path.join(STATE_DIR, hashlib.sha1(path.encode('utf-8')).hexdigest())
+
+
+def read_offset(path):
+    try:
+        with open(state_file(path)) as f:
+            return int(f.read().strip() or 0)
+    except (OSError, ValueError):
+        return 0
+
+
+def write_offset(path, offset):
+    tmp = state_file(path) + '.tmp'
+    with open(tmp, 'w') as f:
+        f.write(str(offset))
+    os.replace(tmp, state_file(path))
+
+
+def acquire_lock(path):
+    lock = state_file(path) + '.lock'
+    deadline = time.time() + LOCK_WAIT_S
+    while True:
+        try:
+            os.mkdir(lock)
+            return lock
+        except FileExistsError:
+            try:
+                if time.time() - os.path.getmtime(lock) > STALE_LOCK_S:
+                    os.rmdir(lock)
+                    continue
+            except OSError:
+                pass
+            if time.time() > deadline:
+                return None
+            time.sleep(0.1)
+
+
+def content_blocks(message):
+    content = message.get('content')
+    if isinstance(content, str):
+        return [{'type': 'text', 'text': content}]
+    return [b for b in content if isinstance(b, dict)] if isinstance(content, list) else []
+
+
+def to_event(entry, session_id, agent_id):
+    """Map one transcript line to a TranscriptMessage event, or None to skip it."""
+    kind = entry.get('type')
+    if kind not in ('user', 'assistant') or entry.get('isMeta'):
+        return None
+    message = entry.get('message') or {}
+    blocks = content_blocks(message)
+    # Tool output already arrives through PostToolUse
+    if kind == 'user' and any(b.get('type') == 'tool_result' for b in blocks):
+        return None
+
+    text = '\n\n'.join(b.get('text', '') for b in blocks if b.get('type') == 'text').strip()
+    thinking = '\n\n'.join(b.get('thinking', '') for b in blocks if b.get('type') == 'thinking').strip()
+    tool_uses = [{'id': b.get('id'), 'name': b.get('name')} for b in blocks if b.get('type') == 'tool_use']
+    if not (text or thinking or tool_uses):
+        return None
+
+    event = {
+        'hook_event_name': 'TranscriptMessage',
+        'session_id': entry.get('sessionId') or session_id,
+        'role': message.get('role') or kind,
+        'text': text,
+        'uuid': entry.get('uuid'),
+        # Claude Code writes each content block of a reply as its own line
+        'message_id': message.get('id') or entry.get('uuid'),
+    }
+    if entry.get('timestamp'):
+        event['timestamp'] = entry['timestamp']
+    if entry.get('isSidechain') or agent_id:
+        event['sidechain'] = True
+        event['agent_id'] = entry.get('agentId') or agent_id
+    if thinking:
+        event['thinking'] = thinking
+    if kind == 'assistant' and isinstance(message.get('usage'), dict):
+        # Token counts for cost accounting; repeated on every entry of the same reply
+        usage = message['usage']
+        event['model'] = message.get('model', '')
+        event['usage'] = {k: usage[k] for k in USAGE_KEYS if isinstance(usage.get(k), int)}
+    if tool_uses:
+        event['tool_uses'] = tool_uses
+    return event
+
+
+def read_new(path, offset, session_id, agent_id):
+    """Complete lines after `offset`, as [(end_offset, event_or_None)]."""
+    with open(path, 'rb') as f:
+        f.seek(offset)
+        data = f.read()
+    data = data[:data.rfind(b'\n') + 1]  # leave a half-written last line for next time
+    items = []
+    for line in data.splitlines(keepends=True):
+        offset += len(line)
+        try:
+            event = to_event(json.loads(line), session_id, agent_id)
+        except ValueError:
+            event = None
+        items.append((offset, event))
+    return items
+
+
+def post_batch(events):
+    req = urllib.request.Request(
+        MOHANO_URL + '/api/events/batch',
+        data=json.dumps(events).encode('utf-8'),
+        headers={'Content-Type': 'application/json'},
+        method='POST',
+    )
+    if MOHANO_API_KEY:
+        req.add_header('Authorization', 'Bearer ' + MOHANO_API_KEY)
+    with urllib.request.urlopen(req, timeout=5) as res:
+        return json.loads(res.read()).get('results', [])
+
+
+def upload(path, session_id, agent_id=None):
+    lock = acquire_lock(path)
+    if not lock:
+        return
+    try:
+        offset = read_offset(path)
+        try:
+            if os.path.getsize(path) < offset:
+                offset = 0  # transcript was rewritten
+        except OSError:
+            return
+        items = read_new(path, offset, session_id, agent_id)
+        pending = []  # (end_offset, event) waiting to be sent
+        for end, event in items:
+            if event is None:
+                if not pending:
+                    offset = end
+                continue
+            pending.append((end, event))
+            if len(pending) >= BATCH_SIZE:
+                offset, ok = send(pending, offset)
+                pending = []
+                write_offset(path, offset)
+                if not ok:
+                    return
+        ok = True
+        if pending:
+            offset, ok = send(pending, offset)
+        if ok and items:
+            offset = items[-1][0]
+        write_offset(path, offset)
+    finally:
+        os.rmdir(lock)
+
+
+def send(pending, offset):
+    """POST `pending`; returns the offset after the accepted prefix and whether to go on."""
+    try:
+        results = post_batch([event for _, event in pending])
+    except (urllib.error.URLError, OSError, ValueError):
+        return offset, False
+    for (end, _), result in zip(pending, results):
+        if result.get('error') == 'Rate limit exceeded':
+            return offset, False
+        offset = end  # accepted, or rejected as invalid (retrying won't help)
+    return offset, True
+
+
+def main():
+    try:
+        hook = json.load(sys.stdin)
+    except ValueError:
+        return
+    session_id = hook.get('session_id', '')
+    os.makedirs(STATE_DIR, exist_ok=True)
+    if hook.get('transcript_path'):
+        upload(os.path.expanduser(hook['transcript_path']), session_id)
+    if hook.get('agent_transcript_path'):
+        upload(os.path.expanduser(hook['agent_transcript_path']), session_id, hook.get('agent_id') or 'subagent')
+
+
+if __name__ == '__main__':
+    try:
+        main()
+    except Exception:
+        pass  # never disturb Claude Code
@@ -13,7 +13,7 @@ send_event() {
     -H "Content-Type: application/json" \
     -d "$json" \
     -o /dev/null --max-time 2
-  echo "  Sent: $(echo "$json" | python3 -c "import sys,json; d=json.load(sys.stdin); print(d.get('hook_type','?'), '-', d.get('agent_name', d.get('session_id','?')))" 2>/dev/null || echo "$json" | head -c 80)"
+  echo "  Sent: $(echo "$json" | python3 -c "import sys,json; d=json.load(sys.stdin); print(d.get('hook_event_name','?'), '-', d.get('agent_name', d.get('session_id','?')))" 2>/dev/null || echo "$json" | head -c 80)"
   sleep "$delay"
 }
 
@@ -24,7 +24,7 @@ echo ""
 
 # --- Event 1: Session starts ---
 send_event "{
-  \"hook_type\": \"SessionStart\",
+  \"hook_event_name\": \"SessionStart\",
   \"session_id\": \"$SESSION_ID\",
   \"agent_name\": \"team-lead\",
   \"agent_type\": \"lead\",
@@ -33,7 +33,7 @@ send_event "{
 
 # --- Event 2: Lead spawns agent "backend-dev" ---
 send_event "{
-  \"hook_type\": \"SubagentStart\",
+  \"hook_event_name\": \"SubagentStart\",
   \"session_id\": \"$SESSION_ID\",
   \"agent_name\": \"backend-dev\",
   \"agent_type\": \"teammate\",
@@ -44,7 +44,7 @@ send_event "{
 
 # --- Event 3: Lead spawns agent "frontend-dev" ---
 send_event "{
-  \"hook_type\": \"SubagentStart\",
+  \"hook_event_name\": \"SubagentStart\",
   \"session_id\": \"$SESSION_ID\",
   \"agent_name\": \"frontend-dev\",
   \"agent_type\": \"teammate\",
@@ -55,7 +55,7 @@ send_event "{
 
 # --- Event 4: Lead spawns agent "test-dev" ---
 send_event "{
-  \"hook_type\": \"SubagentStart\",
+  \"hook_event_name\": \"SubagentStart\",
   \"session_id\": \"$SESSION_ID\",
   \"agent_name\": \"test-dev\",
   \"agent_type\": \"teammate\",
@@ -66,7 +66,7 @@ send_event "{
 
 # --- Event 5: backend-dev reads a file ---
 send_event "{
-  \"hook_type\": \"PreToolUse\",
+  \"hook_event_name\": \"PreToolUse\",
   \"session_id\": \"$SESSION_ID\",
   \"agent_name\": \"backend-dev\",
   \"tool_name\": \"Read\",
@@ -76,7 +76,7 @@ send_event "{
 
 # --- Event 6: backend-dev finishes reading ---
 send_event "{
-  \"hook_type\": \"PostToolUse\",
+  \"hook_event_name\": \"PostToolUse\",
   \"session_id\": \"$SESSION_ID\",
   \"agent_name\": \"backend-dev\",
   \"tool_name\": \"Read\",
@@ -86,7 +86,7 @@ send_event "{
 
 # --- Event 7: frontend-dev writes a component ---
 send_event "{
-  \"hook_type\": \"PreToolUse\",
+  \"hook_event_name\": \"PreToolUse\",
   \"session_id\": \"$SESSION_ID\",
   \"agent_name\": \"frontend-dev\",
   \"tool_name\": \"Write\",
@@ -96,7 +96,7 @@ send_event "{
 
 # --- Event 8: frontend-dev finishes writing ---
 send_event "{
-  \"hook_type\": \"PostToolUse\",
+  \"hook_event_name\": \"PostToolUse\",
   \"session_id\": \"$SESSION_ID\",
   \"agent_name\": \"frontend-dev\",
   \"tool_name\": \"Write\",
@@ -106,7 +106,7 @@ send_event "{
 
 # --- Event 9: test-dev runs bash command ---
 send_event "{
-  \"hook_type\": \"PreToolUse\",
+  \"hook_event_name\": \"PreToolUse\",
   \"session_id\": \"$SESSION_ID\",
   \"agent_name\": \"test-dev\",
   \"tool_name\": \"Bash\",
@@ -116,7 +116,7 @@ send_event "{
 
 # --- Event 10: test-dev bash completes ---
 send_event "{
-  \"hook_type\": \"PostToolUse\",
+  \"hook_event_name\": \"PostToolUse\",
   \"session_id\": \"$SESSION_ID\",
   \"agent_name\": \"test-dev\",
   \"tool_name\": \"Bash\",
@@ -126,7 +126,7 @@ send_event "{
 
 # --- Event 11: backend-dev edits a file ---
 send_event "{
-  \"hook_type\": \"PreToolUse\",
+  \"hook_event_name\": \"PreToolUse\",
   \"session_id\": \"$SESSION_ID\",
   \"agent_name\": \"backend-dev\",
   \"tool_name\": \"Edit\",
@@ -136,7 +136,7 @@ send_event "{
 
 # --- Event 12: backend-dev edit completes ---
 send_event "{
-  \"hook_type\": \"PostToolUse\",
+  \"hook_event_name\": \"PostToolUse\",
   \"session_id\": \"$SESSION_ID\",
   \"agent_name\": \"backend-dev\",
   \"tool_name\": \"Edit\",
@@ -146,7 +146,7 @@ send_event "{
 
 # --- Event 13: backend-dev completes task ---
 send_event "{
-  \"hook_type\": \"TaskCompleted\",
+  \"hook_event_name\": \"TaskCompleted\",
   \"session_id\": \"$SESSION_ID\",
   \"agent_name\": \"backend-dev\",
   \"task\": \"Build REST API endpoints\",
@@ -156,7 +156,7 @@ send_event "{
 
 # --- Event 14: frontend-dev uses Grep ---
 send_event "{
-  \"hook_type\": \"PreToolUse\",
+  \"hook_event_name\": \"PreToolUse\",
   \"session_id\": \"$SESSION_ID\",
   \"agent_name\": \"frontend-dev\",
   \"tool_name\": \"Grep\",
@@ -166,7 +166,7 @@ send_event "{
 
 # --- Event 15: frontend-dev Grep completes ---
 send_event "{
-  \"hook_type\": \"PostToolUse\",
+  \"hook_event_name\": \"PostToolUse\",
   \"session_id\": \"$SESSION_ID\",
   \"agent_name\": \"frontend-dev\",
   \"tool_name\": \"Grep\",
@@ -176,7 +176,7 @@ send_event "{
 
 # --- Event 16: test-dev goes idle ---
 send_event "{
-  \"hook_type\": \"TeammateIdle\",
+  \"hook_event_name\": \"TeammateIdle\",
   \"session_id\": \"$SESSION_ID\",
   \"agent_name\": \"test-dev\",
   \"reason\": \"Waiting for backend API to stabilize before writing more tests\",
@@ -185,7 +185,7 @@ send_event "{
 
 # --- Event 17: frontend-dev completes task ---
 send_event "{
-  \"hook_type\": \"TaskCompleted\",
+  \"hook_event_name\": \"TaskCompleted\",
   \"session_id\": \"$SESSION_ID\",
   \"agent_name\": \"frontend-dev\",
   \"task\": \"Create React dashboard components\",
@@ -195,7 +195,7 @@ send_event "{
 
 # --- Event 18: test-dev resumes with Bash ---
 send_event "{
-  \"hook_type\": \"PreToolUse\",
+  \"hook_event_name\": \"PreToolUse\",
   \"session_id\": \"$SESSION_ID\",
   \"agent_name\": \"test-dev\",
   \"tool_name\": \"Bash\",
@@ -205,7 +205,7 @@ send_event "{
 
 # --- Event 19: test-dev Bash completes ---
 send_event "{
-  \"hook_type\": \"PostToolUse\",
+  \"hook_event_name\": \"PostToolUse\",
   \"session_id\": \"$SESSION_ID\",
   \"agent_name\": \"test-dev\",
   \"tool_name\": \"Bash\",
@@ -215,7 +215,7 @@ send_event "{
 
 # --- Event 20: Notification from team-lead ---
 send_event "{
-  \"hook_type\": \"Notification\",
+  \"hook_event_name\": \"Notification\",
   \"session_id\": \"$SESSION_ID\",
   \"agent_name\": \"team-lead\",
   \"message\": \"All subtasks completed. Preparing final review.\",
@@ -224,7 +224,7 @@ send_event "{
 
 # --- Event 21: backend-dev stops ---
 send_event "{
-  \"hook_type\": \"SubagentStop\",
+  \"hook_event_name\": \"SubagentStop\",
   \"session_id\": \"$SESSION_ID\",
   \"agent_name\": \"backend-dev\",
   \"reason\": \"Task completed successfully\",
@@ -233,7 +233,7 @@ send_event "{
 
 # --- Event 22: frontend-dev stops ---
 send_event "{
-  \"hook_type\": \"SubagentStop\",
+  \"hook_event_name\": \"SubagentStop\",
   \"session_id\": \"$SESSION_ID\",
   \"agent_name\": \"frontend-dev\",
   \"reason\": \"Task completed successfully\",
@@ -242,7 +242,7 @@ send_event "{
 
 # --- Event 23: test-dev completes and stops ---
 send_event "{
-  \"hook_type\": \"TaskCompleted\",
+  \"hook_event_name\": \"TaskCompleted\",
   \"session_id\": \"$SESSION_ID\",
   \"agent_name\": \"test-dev\",
   \"task\": \"Write integration tests\",
@@ -251,7 +251,7 @@ send_event "{
 }"
 
 send_event "{
-  \"hook_type\": \"SubagentStop\",
+  \"hook_event_name\": \"SubagentStop\",
   \"session_id\": \"$SESSION_ID\",
   \"agent_name\": \"test-dev\",
   \"reason\": \"Task completed successfully\",
@@ -260,7 +260,7 @@ send_event "{
 
 # --- Event 25: Session ends ---
 send_event "{
-  \"hook_type\": \"SessionEnd\",
+  \"hook_event_name\": \"SessionEnd\",
   \"session_id\": \"$SESSION_ID\",
   \"agent_name\": \"team-lead\",
   \"summary\": \"Multi-agent session complete. API, frontend, and tests delivered.\",
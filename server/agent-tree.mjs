@@ -0,0 +1,266 @@
+// Mohano - Agent hierarchy
+// Per-session parent -> child agent trees: subagents under the agent whose Task call spawned them, teammates under their team
+
+const MAX_SESSIONS = 500;       // per workspace; least recently active are dropped first
+const MAX_PENDING_SPAWNS = 100; // per session: Task calls still waiting for their subagent to start
+const MAIN = 'main';
+
+function eventTime(event) {
+  const t = Date.parse(event.timestamp);
+  return isNaN(t) ? Date.now() : t;
+}
+
+export function createAgentTrees() {
+  return new Map(); // session id -> tree
+}
+
+function createTree(id) {
+  return {
+    id,
+    lastEventAt: 0,
+    agents: new Map(), // node id -> node
+    spawns: new Map(), // Task tool_use_id -> spawn, until its PostToolUse
+  };
+}
+
+// Node ids: 'main', the Claude Code agent_id for subagents,
+// 'teammate:<name>' and 'team:<name>' for agent teams
+function createNode(id, kind, name, parent) {
+  return {
+    id,
+    name,
+    kind, // main | subagent | team | teammate
+    agentType: '',
+    team: '',
+    parent, // node id, null for main
+    spawnedBy: null, // { tool_use_id, seq, description } of the Task / TeamCreate call
+    status: 'active', // active | idle | stopped | ended
+    startedAt: null,
+    endedAt: null,
+    lastSeen: null,
+    eventCount: 0,
+  };
+}
+
+function ensureNode(tree, id, kind, name, parent) {
+  let node = tree.agents.get(id);
+  if (!node) {
+    node = createNode(id, kind, name, parent);
+    tree.agents.set(id, node);
+  }
+  return node;
+}
+
+function mainNode(tree, event) {
+  const name = typeof event.cwd === 'string' && event.cwd ? event.cwd.split('/').pop() : tree.id.slice(0, 8);
+  return ensureNode(tree, MAIN, MAIN, name || 'unknown', null);
+}
+
+function teamNode(tree, event, name) {
+  const node = ensureNode(tree, `team:${name}`, 'team', name, MAIN);
+  node.team = name;
+  if (node.startedAt === null) node.startedAt = eventTime(event);
+  if (!tree.agents.has(node.parent)) mainNode(tree, event);
+  return node;
+}
+
+// Task / SendMessage events are named after the agent they address, not the sender
+function senderName(event, fallback) {
+  const { agent, tool } = event._canonical;
+  return tool && (tool.name === 'Task' || tool.name === 'SendMessage') ? fallback : agent.name;
+}
+
+// Node the event was sent by
+function agentNode(tree, event) {
+  const agent = event._canonical.agent;
+  if (agent.kind === 'teammate') {
+    const parent = agent.team ? teamNode(tree, event, agent.team).id : mainNode(tree, event).id;
+    const node = ensureNode(tree, `teammate:${agent.name}`, 'teammate', agent.name, parent);
+    if (agent.team) node.team = agent.team;
+    return node;
+  }
+  if (agent.kind === 'subagent') {
+    const id = agent.id || agent.name;
+    const node = ensureNode(tree, id, 'subagent', senderName(event, agent.type || id), event._canonical.parent || MAIN);
+    if (!tree.agents.has(node.parent)) node.parent = mainNode(tree, event).id;
+    if (agent.type) node.agentType = agent.type;
+    return node;
+  }
+  const node = mainNode(tree, event);
+  node.name = senderName(event, node.name) || node.name;
+  return node;
+}
+
+function isAncestor(tree, id, node) {
+  for (let cur = tree.agents.get(id); cur; cur = tree.agents.get(cur.parent)) {
+    if (cur === node) return true;
+  }
+  return false;
+}
+
+// Attach `node` under the agent that made the spawning call
+function link(tree, node, spawn) {
+  // A bad match must not turn the tree into a cycle
+  if (isAncestor(tree, spawn.parent, node)) return;
+  node.parent = spawn.parent;
+  node.spawnedBy = { tool_use_id: spawn.toolUseId, seq: spawn.seq, description: spawn.description };
+  spawn.agent = node.id;
+}
+
+// SubagentStart does not say which Task call it belongs to: take the oldest
+// unclaimed spawn of the same subagent type, or the only one outstanding
+function findSpawn(tree, event) {
+  if (event.tool_use_id && tree.spawns.has(event.tool_use_id)) return tree.spawns.get(event.tool_use_id);
+  const open = [...tree.spawns.values()].filter(s => !s.agent);
+  return open.find(s => s.agentType === event.agent_type) || (open.length === 1 ? open[0] : null);
+}
+
+function recordSpawn(tree, event, spawner) {
+  const input = event.tool_input || {};
+  const spawn = {
+    toolUseId: event.tool_use_id || `seq-${event._seq}`,
+    seq: event._seq,
+    parent: spawner.id,
+    agentType: input.subagent_type || 'general-purpose',
+    description: input.description || '',
+    agent: null,
+  };
+  // Agent teams: Task with a team and a name starts a teammate
+  if (input.team_name && input.name) {
+    const team = teamNode(tree, event, input.team_name);
+    const node = ensureNode(tree, `teammate:${input.name}`, 'teammate', String(input.name), team.id);
+    node.team = input.team_name;
+    node.agentType = input.subagent_type || node.agentType;
+    node.spawnedBy = { tool_use_id: spawn.toolUseId, seq: spawn.seq, description: spawn.description };
+    return;
+  }
+  tree.spawns.set(spawn.toolUseId, spawn);
+  if (tree.spawns.size > MAX_PENDING_SPAWNS) tree.spawns.delete(tree.spawns.keys().next().value);
+}
+
+// PostToolUse for Task: the response names the subagent that ran it
+function completeSpawn(tree, event) {
+  const spawn = tree.spawns.get(event.tool_use_id);
+  if (!spawn) return;
+  tree.spawns.delete(event.tool_use_id);
+  const response = event.tool_response || {};
+  const agentId = response.agentId || response.agent_id;
+  if (!agentId || spawn.agent === agentId) return;
+  const node = ensureNode(tree, String(agentId), 'subagent', spawn.agentType, MAIN);
+  node.agentType = node.agentType || spawn.agentType;
+  link(tree, node, spawn);
+}
+
+function evictOldest(trees) {
+  let oldest = null;
+  for (const tree of trees.values()) {
+    if (!oldest || tree.lastEventAt < oldest.lastEventAt) oldest = tree;
+  }
+  if (oldest) trees.delete(oldest.id);
+}
+
+// Fold one event (already carrying `_canonical`) into its session's tree.
+// Returns the tree, or null for events that carry no session_id.
+export function updateAgentTree(trees, event) {
+  const id = event._canonical.session_id; // always a string
+  if (!id) return null;
+
+  let tree = trees.get(id);
+  if (!tree) {
+    tree = createTree(id);
+    trees.set(id, tree);
+    if (trees.size > MAX_SESSIONS) evictOldest(trees);
+  }
+
+  const { type, tool } = event._canonical;
+  const time = eventTime(event);
+  tree.lastEventAt = Math.max(tree.lastEventAt, time);
+  mainNode(tree, event);
+  const node = agentNode(tree, event);
+  node.eventCount++;
+  node.lastSeen = Math.max(node.lastSeen || 0, time);
+  if (node.startedAt === null) node.startedAt = time;
+
+  if (type === 'SubagentStart') {
+    node.startedAt = time;
+    node.status = 'active';
+    const spawn = node.spawnedBy ? null : findSpawn(tree, event);
+    if (spawn) link(tree, node, spawn);
+  } else if (type === 'SubagentStop') {
+    node.status = 'stopped';
+    node.endedAt = time;
+  } else if (type === 'Stop') {
+    if (node.status !== 'ended') node.status = 'stopped';
+  } else if (type === 'SessionEnd') {
+    node.status = 'ended';
+    node.endedAt = time;
+  } else if (type === 'TeammateIdle') {
+    node.status = 'idle';
+  } else if (node.status === 'idle' || (node.status === 'stopped' && node.kind !== 'subagent')) {
+    node.status = 'active';
+  }
+
+  if (tool && tool.name === 'Task') {
+    if (type === 'PreToolUse') recordSpawn(tree, event, node);
+    else if (type === 'PostToolUse') completeSpawn(tree, event);
+    else if (type === 'PostToolUseFailure') tree.spawns.delete(event.tool_use_id);
+  }
+  if (tool && tool.name === 'TeamCreate' && type === 'PreToolUse') {
+    const name = event.tool_input && event.tool_input.team_name;
+    if (name) {
+      const team = teamNode(tree, event, name);
+      if (!isAncestor(tree, node.id, team)) team.parent = node.id;
+      team.spawnedBy = { tool_use_id: event.tool_use_id || `seq-${event._seq}`, seq: event._seq, description: '' };
+    }
+  }
+
+  return tree;
+}
+
+function iso(time) {
+  return time === null ? null : new Date(time).toISOString();
+}
+
+function serializeNode(node, children, seen) {
+  seen.add(node.id);
+  const kids = (children.get(node.id) || []).filter(child => !seen.has(child.id));
+  return {
+    id: node.id,
+    name: node.name,
+    kind: node.kind,
+    agent_type: node.agentType || undefined,
+    team: node.team || undefined,
+    status: node.kind === 'team' ? undefined : node.status,
+    spawned_by: node.spawnedBy,
+    started_at: iso(node.startedAt),
+    ended_at: iso(node.endedAt),
+    last_seen: iso(node.lastSeen),
+    event_count: node.eventCount,
+    children: kids.map(child => serializeNode(child, children, seen)),
+  };
+}
+
+// JSON shape served by /api/agents/tree: nested from the main agent, children
+// in start order
+export function describeAgentTree(tree) {
+  const children = new Map();
+  for (const node of tree.agents.values()) {
+    if (node.id === MAIN) continue;
+    const parent = tree.agents.has(node.parent) ? node.parent : MAIN;
+    if (!children.has(parent)) children.set(parent, []);
+    children.get(parent).push(node);
+  }
+  for (const list of children.values()) list.sort((a, b) => (a.startedAt || 0) - (b.startedAt || 0));
+  return {
+    session_id: tree.id,
+    agent_count: [...tree.agents.values()].filter(n => n.kind !== 'team').length,
+    last_event_at: iso(tree.lastEventAt),
+    root: serializeNode(tree.agents.get(MAIN), children, new Set()),
+  };
+}
+
+export function listAgentTrees(trees) {
+  return [...trees.values()]
+    .sort((a, b) => b.lastEventAt - a.lastEventAt)
+    .map(describeAgentTree);
+}
@@ -0,0 +1,288 @@
+// Mohano - Alert rules
+// Evaluates per-workspace rules over the event stream and tracks firing/resolved alerts
+
+import { randomBytes } from 'node:crypto';
+import { CircularBuffer } from './store.mjs';
+import { parseFilters, matchesFilters, serializeFilters } from './filters.mjs';
+
+const MAX_RULES = 50;
+const MAX_GROUPS = 2000;  // tracked sessions/agents per rule; the oldest are forgotten first
+const MAX_HISTORY = 200;  // resolved alerts kept per workspace
+
+// Rule types:
+//   threshold  `count` consecutive events matching `match`, until one matching `reset`
+//   absence    no event matching `match` (default: any) for `duration_ms`; `stop` ends the watch
+//   timeout    still in the state entered by `enter` after `duration_ms`; `exit` (default:
+//              any other event) leaves it
+//   rate       at least `count` events matching `match` within `window_ms`
+// `group_by` is 'session', 'agent' or 'workspace'.
+export const DEFAULT_RULES = [
+  {
+    id: 'teammate-idle',
+    name: 'Teammate idle',
+    type: 'timeout',
+    severity: 'warning',
+    group_by: 'agent',
+    enter: { hook_event_name: ['TeammateIdle'] },
+    duration_ms: 10 * 60 * 1000,
+  },
+  {
+    id: 'tool-failure-streak',
+    name: 'Consecutive tool failures',
+    type: 'threshold',
+    severity: 'critical',
+    group_by: 'session',
+    match: { hook_event_name: ['PostToolUseFailure'] },
+    reset: { hook_event_name: ['PostToolUse'] },
+    count: 5,
+  },
+  {
+    id: 'silent-session',
+    name: 'Running session went silent',
+    type: 'absence',
+    severity: 'warning',
+    group_by: 'session',
+    stop: { hook_event_name: ['Stop', 'SessionEnd'] },
+    duration_ms: 5 * 60 * 1000,
+  },
+];
+
+const TYPES = new Set(['threshold', 'absence', 'timeout', 'rate']);
+const GROUP_BY = new Set(['session', 'agent', 'workspace']);
+const SEVERITIES = new Set(['info', 'warning', 'critical']);
+const MATCH_KEYS = ['match', 'reset', 'stop', 'enter', 'exit'];
+
+// --- Rules ---
+
+function positiveInt(value, field) {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n <= 0) throw new Error(`${field} must be a positive integer`);
+  return n;
+}
+
+// Validate user input into a rule. Throws with a user-facing message.
+export function compileRule(input) {
+  if (!input || typeof input !== 'object') throw new Error('Rule must be a JSON object');
+  if (!TYPES.has(input.type)) throw new Error(`type must be one of: ${[...TYPES].join(', ')}`);
+  const rule = {
+    id: typeof input.id === 'string' && /^[\w-]{1,64}$/.test(input.id) ? input.id : 'rule_' + randomBytes(4).toString('hex'),
+    name: typeof input.name === 'string' && input.name ? input.name.slice(0, 100) : input.type,
+    type: input.type,
+    severity: SEVERITIES.has(input.severity) ? input.severity : 'warning',
+    group_by: GROUP_BY.has(input.group_by) ? input.group_by : 'session',
+  };
+  for (const key of MATCH_KEYS) {
+    if (input[key] && typeof input[key] === 'object') rule[key] = parseFilters(input[key]);
+  }
+  if (rule.type === 'threshold' || rule.type === 'rate') {
+    if (!rule.match) throw new Error(`${rule.type} rules need a match`);
+    rule.count = positiveInt(input.count, 'count');
+  }
+  if (rule.type === 'rate') rule.window_ms = positiveInt(input.window_ms, 'window_ms');
+  if (rule.type === 'absence' || rule.type === 'timeout') rule.duration_ms = positiveInt(input.duration_ms, 'duration_ms');
+  if (rule.type === 'timeout' && !rule.enter) throw new Error('timeout rules need an enter match');
+  return rule;
+}
+
+export function describeRule(rule) {
+  const out = { ...rule };
+  for (const key of MATCH_KEYS) {
+    if (rule[key]) out[key] = serializeFilters(rule[key]);
+  }
+  return out;
+}
+
+// --- State ---
+
+export function createAlerts(rules = DEFAULT_RULES) {
+  const alerts = {
+    rules: [],
+    groups: new Map(),  // rule id -> Map(group key -> per-rule state)
+    active: new Map(),  // `${rule id}|${group key}` -> firing alert
+    history: new CircularBuffer(MAX_HISTORY),
+  };
+  for (const rule of rules) addRule(alerts, compileRule(rule));
+  return alerts;
+}
+
+// Add or replace (by id) a compiled rule
+export function addRule(alerts, rule) {
+  const existing = alerts.rules.findIndex(r => r.id === rule.id);
+  if (existing === -1 && alerts.rules.length >= MAX_RULES) throw new Error(`Too many rules (max ${MAX_RULES})`);
+  const changes = existing === -1 ? [] : removeRule(alerts, rule.id);
+  alerts.rules.push(rule);
+  alerts.groups.set(rule.id, new Map());
+  return changes;
+}
+
+// Returns the alerts resolved by removing the rule
+export function removeRule(alerts, id) {
+  const changes = [];
+  const groups = alerts.groups.get(id);
+  if (groups) {
+    for (const key of groups.keys()) resolve(alerts, id, key, Date.now(), changes);
+  }
+  alerts.rules = alerts.rules.filter(r => r.id !== id);
+  alerts.groups.delete(id);
+  return changes;
+}
+
+// Drop all alert state but keep the rules (workspace reset)
+export function clearAlerts(alerts) {
+  for (const groups of alerts.groups.values()) groups.clear();
+  alerts.active.clear();
+  alerts.history = new CircularBuffer(MAX_HISTORY);
+}
+
+function groupOf(rule, event) {
+  const session = event.session_id || '';
+  if (rule.group_by === 'workspace') return { key: '', session_id: '', agent: '' };
+  if (rule.group_by === 'session') return { key: session, session_id: session, agent: '' };
+  const agent = event.agent_id || event.agent_name || event.teammate_name || 'main';
+  return { key: `${session}:${agent}`, session_id: session, agent };
+}
+
+function getGroup(alerts, rule, group) {
+  const groups = alerts.groups.get(rule.id);
+  let state = groups.get(group.key);
+  if (!state) {
+    if (groups.size >= MAX_GROUPS) {
+      const oldest = groups.keys().next().value;
+      resolve(alerts, rule.id, oldest, Date.now(), []);
+      groups.delete(oldest);
+    }
+    state = { session_id: group.session_id, agent: group.agent, count: 0, since: null, times: [] };
+    groups.set(group.key, state);
+  }
+  return state;
+}
+
+function fire(alerts, rule, key, state, now, value, message, event, changes) {
+  const id = `${rule.id}|${key}`;
+  if (alerts.active.has(id)) return;
+  const alert = {
+    id: 'al_' + randomBytes(6).toString('hex'),
+    rule_id: rule.id,
+    rule_name: rule.name,
+    type: rule.type,
+    severity: rule.severity,
+    state: 'firing',
+    session_id: state.session_id || null,
+    agent: state.agent || null,
+    value,
+    message,
+    seq: event ? event._seq : null,
+    fired_at: new Date(now).toISOString(),
+    resolved_at: null,
+  };
+  alerts.active.set(id, alert);
+  changes.push(alert);
+}
+
+function resolve(alerts, ruleId, key, now, changes) {
+  const id = `${ruleId}|${key}`;
+  const alert = alerts.active.get(id);
+  if (!alert) return;
+  alerts.active.delete(id);
+  alert.state = 'resolved';
+  alert.resolved_at = new Date(now).toISOString();
+  alerts.history.push(alert);
+  changes.push(alert);
+}
+
+function formatMs(ms) {
+  if (ms < 60000) return `${Math.round(ms / 1000)}s`;
+  if (ms < 3600000) return `${Math.round(ms / 60000)}m`;
+  return `${Math.round(ms / 360000) / 10}h`;
+}
+
+// --- Evaluation ---
+// Both entry points return the alerts that changed state (fired or resolved).
+
+export function evaluateEvent(alerts, event, now = Date.now()) {
+  const changes = [];
+  const type = event._canonical.type;
+  for (const rule of alerts.rules) {
+    const group = groupOf(rule, event);
+    const key = group.key;
+
+    if (rule.type === 'threshold') {
+      if (rule.reset && matchesFilters(event, rule.reset)) {
+        const state = alerts.groups.get(rule.id).get(key);
+        if (state) state.count = 0;
+        resolve(alerts, rule.id, key, now, changes);
+      } else if (matchesFilters(event, rule.match)) {
+        const state = getGroup(alerts, rule, group);
+        state.count++;
+        if (state.count >= rule.count) {
+          fire(alerts, rule, key, state, now, state.count, `${state.count} in a row`, event, changes);
+        }
+      }
+    } else if (rule.type === 'absence') {
+      if (rule.stop && matchesFilters(event, rule.stop)) {
+        alerts.groups.get(rule.id).delete(key);
+        resolve(alerts, rule.id, key, now, changes);
+      } else if (!rule.match || matchesFilters(event, rule.match)) {
+        getGroup(alerts, rule, group).since = now;
+        resolve(alerts, rule.id, key, now, changes);
+      }
+    } else if (rule.type === 'timeout') {
+      if (matchesFilters(event, rule.enter)) {
+        const state = getGroup(alerts, rule, group);
+        if (state.since === null) state.since = now;
+      } else if (!rule.exit || matchesFilters(event, rule.exit)) {
+        const state = alerts.groups.get(rule.id).get(key);
+        if (state) state.since = null;
+        resolve(alerts, rule.id, key, now, changes);
+      }
+    } else if (rule.type === 'rate') {
+      if (matchesFilters(event, rule.match)) {
+        const state = getGroup(alerts, rule, group);
+        state.times.push(now);
+        while (state.times.length && state.times[0] <= now - rule.window_ms) state.times.shift();
+        if (state.times.length > rule.count) state.times.shift(); // only the last `count` matter
+        if (state.times.length >= rule.count) {
+          fire(alerts, rule, key, state, now, state.times.length,
+            `${state.times.length} in ${formatMs(rule.window_ms)}`, event, changes);
+        }
+      }
+    }
+  }
+
+  // An ended session can't recover on its own: resolve and forget its groups
+  if (type === 'SessionEnd' && event.session_id) {
+    for (const rule of alerts.rules) {
+      for (const [key, state] of alerts.groups.get(rule.id)) {
+        if (state.session_id !== event.session_id) continue;
+        alerts.groups.get(rule.id).delete(key);
+        resolve(alerts, rule.id, key, now, changes);
+      }
+    }
+  }
+  return changes;
+}
+
+// Time-based conditions (absence, timeout, rate windows expiring); run periodically
+export function evaluateTimers(alerts, now = Date.now()) {
+  const changes = [];
+  for (const rule of alerts.rules) {
+    for (const [key, state] of alerts.groups.get(rule.id)) {
+      if (rule.type === 'absence' && state.since !== null && now - state.since >= rule.duration_ms) {
+        fire(alerts, rule, key, state, now, now - state.since, `No events for ${formatMs(now - state.since)}`, null, changes);
+      } else if (rule.type === 'timeout' && state.since !== null && now - state.since >= rule.duration_ms) {
+        fire(alerts, rule, key, state, now, now - state.since, `For ${formatMs(now - state.since)}`, null, changes);
+      } else if (rule.type === 'rate') {
+        while (state.times.length && state.times[0] <= now - rule.window_ms) state.times.shift();
+        if (state.times.length < rule.count) resolve(alerts, rule.id, key, now, changes);
+      }
+    }
+  }
+  return changes;
+}
+
+// Firing alerts (oldest first) followed by recently resolved ones (newest first)
+export function listAlerts(alerts, { state } = {}) {
+  const firing = state === 'resolved' ? [] : [...alerts.active.values()];
+  const resolved = state === 'firing' ? [] : alerts.history.toArray().reverse();
+  return [...firing, ...resolved];
+}
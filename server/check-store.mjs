@@ -0,0 +1,33 @@
+// Mohano - Store restart check
+// Compacts a JSONL log in the same tick as its appends, reloads it like a restart and checks every `_seq` is there once, in order
+
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { createStore, EventLog } from './store.mjs';
+
+const RETENTION = 5;
+const EVENTS = 12; // two compactions, the last one leaving appends behind it
+
+const dataDir = mkdtempSync(join(tmpdir(), 'mohano-store-'));
+try {
+  const store = createStore('jsonl', { dataDir });
+  const log = new EventLog(store, 'check', RETENTION);
+  for (let seq = 1; seq <= EVENTS; seq++) log.push({ hook_event_name: 'Stop', _seq: seq });
+  await store.flush();
+
+  const [restored] = createStore('jsonl', { dataDir }).loadAll();
+  const seqs = restored ? restored.events.map(e => e._seq) : [];
+  const expected = [];
+  for (let seq = EVENTS - log.stored + 1; seq <= EVENTS; seq++) expected.push(seq);
+  if (seqs.join() === expected.join()) {
+    console.log(`ok    ${seqs.length} events after compaction: _seq ${seqs.join(',')}`);
+  } else {
+    console.log('FAIL  events.jsonl after compaction');
+    console.log(`  expected _seq ${expected.join(',')}`);
+    console.log(`  actual   _seq ${seqs.join(',')}`);
+    process.exitCode = 1;
+  }
+} finally {
+  rmSync(dataDir, { recursive: true, force: true });
+}
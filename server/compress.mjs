@@ -0,0 +1,39 @@
+// Mohano - Response compression
+// gzip / brotli for JSON responses, negotiated from Accept-Encoding
+
+import { brotliCompress, gzip, constants } from 'node:zlib';
+import { promisify } from 'node:util';
+
+export const COMPRESS_MIN_BYTES = 1024; // smaller bodies are not worth the CPU or the header overhead
+
+const brotliAsync = promisify(brotliCompress);
+const gzipAsync = promisify(gzip);
+
+const ENCODERS = {
+  // Default quality 11 is far too slow for per-request compression
+  br: (body) => brotliAsync(body, {
+    params: { [constants.BROTLI_PARAM_QUALITY]: 4, [constants.BROTLI_PARAM_SIZE_HINT]: body.length },
+  }),
+  gzip: (body) => gzipAsync(body, { level: 6 }),
+};
+
+// Preferred encoding the client accepts ('br' over 'gzip'), or null. Honours `q=0`.
+export function negotiateEncoding(acceptEncoding) {
+  if (!acceptEncoding) return null;
+  const accepted = new Map();
+  for (const part of acceptEncoding.split(',')) {
+    const [name, ...params] = part.trim().toLowerCase().split(';');
+    const q = params.map(p => p.trim()).find(p => p.startsWith('q='));
+    accepted.set(name, q ? parseFloat(q.slice(2)) : 1);
+  }
+  for (const encoding of Object.keys(ENCODERS)) {
+    const q = accepted.has(encoding) ? accepted.get(encoding) : accepted.get('*');
+    if (q > 0) return encoding;
+  }
+  return null;
+}
+
+// Resolves to the compressed Buffer
+export function compress(body, encoding) {
+  return ENCODERS[encoding](Buffer.from(body));
+}
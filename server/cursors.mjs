@@ -0,0 +1,68 @@
+// Mohano - Cursor pagination
+// Opaque cursors over `_seq` for paging GET /api/events towards older or newer events
+
+const DEFAULT_PAGE_SIZE = 200;
+const MAX_PAGE_SIZE = 1000;
+
+function encodeCursor(direction, seq) {
+  return Buffer.from(`${direction}:${seq}`).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  const match = Buffer.from(cursor, 'base64url').toString().match(/^(before|after):(\d+)$/);
+  if (!match) throw new Error('Invalid cursor');
+  return { direction: match[1], seq: Number(match[2]) };
+}
+
+// First index whose `_seq` is greater than `seq` (events are in ascending `_seq` order)
+function indexAfter(events, seq) {
+  let lo = 0;
+  let hi = events.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (events[mid]._seq <= seq) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+// One page of `events` (already filtered, ascending `_seq`). Start with
+// `page: 'latest' | 'oldest'`, then follow the returned cursors: `older` is
+// null once nothing older is retained; `newer` is always set, so it can be
+// polled for events that arrive later. Events within a page stay in ascending
+// order. Throws with a user-facing message on bad input.
+export function pageEvents(events, { cursor, page, limit } = {}) {
+  const size = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(limit, 10) || DEFAULT_PAGE_SIZE));
+  let start;
+  let end;
+  let boundary; // `_seq` the cursors continue from when the page is empty
+  if (cursor) {
+    const { direction, seq } = decodeCursor(cursor);
+    if (direction === 'before') {
+      end = indexAfter(events, seq - 1);
+      start = Math.max(0, end - size);
+      boundary = seq - 1;
+    } else {
+      start = indexAfter(events, seq);
+      end = Math.min(events.length, start + size);
+      boundary = seq;
+    }
+  } else if (!page || page === 'latest') {
+    end = events.length;
+    start = Math.max(0, end - size);
+    boundary = 0;
+  } else if (page === 'oldest') {
+    start = 0;
+    end = Math.min(events.length, size);
+    boundary = 0;
+  } else {
+    throw new Error("page must be 'latest' or 'oldest'");
+  }
+
+  const items = events.slice(start, end);
+  return {
+    events: items,
+    older: start > 0 ? encodeCursor('before', items.length ? items[0]._seq : boundary + 1) : null,
+    newer: encodeCursor('after', items.length ? items[items.length - 1]._seq : boundary),
+  };
+}
@@ -0,0 +1,248 @@
+// Mohano - Export
+// Streams events as NDJSON, tool calls as CSV and sessions as OTLP/JSON traces
+
+import { createHash } from 'node:crypto';
+import { parseTime } from './search.mjs';
+
+export const EXPORT_FORMATS = {
+  ndjson: { type: 'application/x-ndjson', ext: 'ndjson' },
+  csv: { type: 'text/csv; charset=utf-8', ext: 'csv' },
+  otlp: { type: 'application/json', ext: 'otlp.json' },
+};
+
+const MAX_ATTRIBUTE_CHARS = 4096;
+
+// Sub-agent or team member behind an event or tool call; '' for the main agent
+function agentOf(item) {
+  return item.agent_id || item.teammate_name || item.agent_name || '';
+}
+
+// --- Scope ---
+
+// From query params: session_id, agent, from, to. Throws with a user-facing message.
+export function parseScope(params) {
+  return {
+    session_id: params.get('session_id') || '',
+    agent: params.get('agent') || '',
+    from: parseTime(params.get('from'), 'from'),
+    to: parseTime(params.get('to'), 'to'),
+  };
+}
+
+function inScope(scope, sessionId, agent, time) {
+  if (scope.session_id && sessionId !== scope.session_id) return false;
+  if (scope.agent && agent !== scope.agent) return false;
+  const t = Date.parse(time);
+  if (scope.from !== null && !(t >= scope.from)) return false;
+  if (scope.to !== null && !(t <= scope.to)) return false;
+  return true;
+}
+
+function eventInScope(scope, event) {
+  const agent = agentOf(event) || (scope.agent && event.agent_type === scope.agent ? scope.agent : '');
+  return inScope(scope, event.session_id || '', agent, event.timestamp);
+}
+
+function callInScope(scope, call) {
+  const agent = agentOf(call) || (scope.agent && call.agent_type === scope.agent ? scope.agent : '');
+  return inScope(scope, call.session_id, agent, call.started_at || call.ended_at);
+}
+
+// Write `lines` to the response as they are produced, waiting whenever the socket's buffer is full
+export async function streamLines(res, lines) {
+  for (const line of lines) {
+    if (res.destroyed) return;
+    if (!res.write(line)) await drained(res);
+  }
+  res.end();
+}
+
+function drained(res) {
+  return new Promise((resolve) => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+}
+
+// --- NDJSON: raw events ---
+
+export function* ndjsonLines(events, scope) {
+  for (const event of events) {
+    if (eventInScope(scope, event)) yield JSON.stringify(event) + '\n';
+  }
+}
+
+// --- CSV: one row per tool call ---
+
+const CSV_COLUMNS = [
+  'tool_use_id', 'session_id', 'agent_id', 'agent_name', 'agent_type', 'tool_name', 'status',
+  'started_at', 'ended_at', 'duration_ms', 'start_seq', 'end_seq', 'tool_input', 'error',
+];
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const str = typeof value === 'string' ? value : JSON.stringify(value);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+export function* csvLines(calls, scope) {
+  yield CSV_COLUMNS.join(',') + '\r\n';
+  for (const call of calls) {
+    if (!callInScope(scope, call)) continue;
+    yield CSV_COLUMNS.map(column => csvCell(call[column])).join(',') + '\r\n';
+  }
+}
+
+// --- OTLP/JSON traces ---
+// One trace per session: a root span for the session, a child span per
+// sub-agent or team member, and a leaf span per tool call under its agent
+// (or directly under the session for the main agent). Ids are derived from
+// the session and agent, so exporting twice yields the same trace.
+
+function spanId(...parts) {
+  return createHash('sha256').update(parts.join('\0')).digest('hex').slice(0, 16);
+}
+
+function traceId(sessionId) {
+  return createHash('sha256').update(sessionId).digest('hex').slice(0, 32);
+}
+
+function unixNano(time) {
+  const ms = Date.parse(time);
+  return isNaN(ms) ? '0' : `${ms}000000`;
+}
+
+function attribute(key, value) {
+  if (typeof value === 'number') {
+    return { key, value: Number.isInteger(value) ? { intValue: String(value) } : { doubleValue: value } };
+  }
+  if (typeof value === 'boolean') return { key, value: { boolValue: value } };
+  const str = typeof value === 'string' ? value : JSON.stringify(value);
+  return { key, value: { stringValue: str.slice(0, MAX_ATTRIBUTE_CHARS) } };
+}
+
+function attributes(map) {
+  return Object.entries(map).filter(([, v]) => v !== undefined && v !== null && v !== '').map(([k, v]) => attribute(k, v));
+}
+
+function later(a, b) {
+  return !a || Date.parse(b) > Date.parse(a) ? b : a;
+}
+
+function earlier(a, b) {
+  return !a || Date.parse(b) < Date.parse(a) ? b : a;
+}
+
+// Session and agent time spans from one pass over the events
+function collectTraces(events, scope) {
+  const sessions = new Map(); // session id -> { start, end, agents: Map(agent -> { ... }) }
+  for (const event of events) {
+    if (!event.session_id || !event.timestamp || !eventInScope(scope, event)) continue;
+    let session = sessions.get(event.session_id);
+    if (!session) {
+      session = { start: null, end: null, project: '', agents: new Map() };
+      sessions.set(event.session_id, session);
+    }
+    session.start = earlier(session.start, event.timestamp);
+    session.end = later(session.end, event.timestamp);
+    if (!session.project && event.cwd) session.project = event.cwd;
+
+    const key = agentOf(event);
+    if (!key) continue;
+    let agent = session.agents.get(key);
+    if (!agent) {
+      agent = { start: null, end: null, type: '', name: '', kind: event.teammate_name ? 'team' : 'subagent' };
+      session.agents.set(key, agent);
+    }
+    agent.start = earlier(agent.start, event.timestamp);
+    agent.end = later(agent.end, event.timestamp);
+    if (event.agent_type) agent.type = event.agent_type;
+    if (event.agent_name || event.teammate_name) agent.name = event.agent_name || event.teammate_name;
+  }
+  return sessions;
+}
+
+function sessionSpan(id, session) {
+  return {
+    traceId: traceId(id),
+    spanId: spanId(id),
+    name: `session ${session.project ? session.project.split('/').filter(Boolean).pop() : id.slice(0, 8)}`,
+    kind: 1, // SPAN_KIND_INTERNAL
+    startTimeUnixNano: unixNano(session.start),
+    endTimeUnixNano: unixNano(session.end),
+    attributes: attributes({ 'session.id': id, 'session.project': session.project }),
+  };
+}
+
+function agentSpan(sessionId, key, agent) {
+  return {
+    traceId: traceId(sessionId),
+    spanId: spanId(sessionId, 'agent', key),
+    parentSpanId: spanId(sessionId),
+    name: `${agent.kind} ${agent.name || agent.type || key}`,
+    kind: 1,
+    startTimeUnixNano: unixNano(agent.start),
+    endTimeUnixNano: unixNano(agent.end),
+    attributes: attributes({ 'agent.id': key, 'agent.type': agent.type, 'agent.name': agent.name, 'agent.kind': agent.kind }),
+  };
+}
+
+function toolSpan(call, session) {
+  const agent = agentOf(call);
+  const start = call.started_at || call.ended_at;
+  const input = call.tool_input || {};
+  const span = {
+    traceId: traceId(call.session_id),
+    spanId: spanId(call.session_id, 'tool', call.id),
+    parentSpanId: agent && session.agents.has(agent) ? spanId(call.session_id, 'agent', agent) : spanId(call.session_id),
+    name: call.tool_name || 'tool',
+    kind: 1,
+    startTimeUnixNano: unixNano(start),
+    endTimeUnixNano: unixNano(call.ended_at || session.end || start),
+    attributes: attributes({
+      'tool.name': call.tool_name,
+      'tool.use_id': call.tool_use_id,
+      'tool.status': call.status,
+      'tool.duration_ms': call.duration_ms,
+      'tool.input.command': input.command,
+      'tool.input.file_path': input.file_path,
+      'tool.input': call.tool_input,
+      'mohano.start_seq': call.start_seq,
+      'mohano.end_seq': call.end_seq,
+    }),
+  };
+  if (call.status === 'failure') {
+    span.status = { code: 2, message: typeof call.error === 'string' ? call.error : 'Tool call failed' }; // STATUS_CODE_ERROR
+  } else if (call.status === 'success') {
+    span.status = { code: 1 }; // STATUS_CODE_OK
+  }
+  return span;
+}
+
+// An ExportTraceServiceRequest, written one span per line
+export function* otlpLines(events, calls, scope) {
+  const sessions = collectTraces(events, scope);
+  yield '{"resourceSpans":[{"resource":{"attributes":' + JSON.stringify(attributes({ 'service.name': 'mohano' })) + '},';
+  yield '"scopeSpans":[{"scope":{"name":"mohano"},"spans":[\n';
+  let first = true;
+  const span = (s) => {
+    const line = (first ? '' : ',\n') + JSON.stringify(s);
+    first = false;
+    return line;
+  };
+  for (const [id, session] of sessions) {
+    yield span(sessionSpan(id, session));
+    for (const [key, agent] of session.agents) yield span(agentSpan(id, key, agent));
+  }
+  for (const call of calls) {
+    const session = sessions.get(call.session_id);
+    if (!session || !callInScope(scope, call)) continue;
+    yield span(toolSpan(call, session));
+  }
+  yield '\n]}]}]}\n';
+}
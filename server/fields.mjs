@@ -0,0 +1,63 @@
+// Mohano - Large-field offloading
+// Truncates oversized string fields at ingest so buffered events and broadcasts stay small
+
+const PREVIEW_CHARS = 2048;
+
+// Walk `event` and cut every string longer than `maxBytes` down to a preview.
+// Returns the (copied, if changed) event and the offloaded fields:
+// [{ path, size, value }] where `value` is the full original string.
+export function truncateFields(event, maxBytes) {
+  const offloaded = [];
+
+  function walk(value, path) {
+    if (typeof value === 'string') {
+      // Cheap pre-check: a UTF-8 char is at most 4 bytes
+      if (value.length * 4 <= maxBytes) return value;
+      const size = Buffer.byteLength(value);
+      if (size <= maxBytes) return value;
+      offloaded.push({ path: path.join('.'), size, value });
+      return value.slice(0, PREVIEW_CHARS) + '…';
+    }
+    if (Array.isArray(value)) {
+      return value.map((item, i) => walk(item, [...path, i]));
+    }
+    if (value && typeof value === 'object') {
+      const out = {};
+      for (const [key, item] of Object.entries(value)) {
+        out[key] = path.length === 0 && key.startsWith('_') ? item : walk(item, [...path, key]);
+      }
+      return out;
+    }
+    return value;
+  }
+
+  const out = walk(event, []);
+  return { event: offloaded.length ? out : event, offloaded };
+}
+
+// Resolve a dot path (as recorded in `_truncated`) against an event
+export function getPath(obj, path) {
+  let cur = obj;
+  for (const seg of path.split('.')) {
+    if (cur === null || typeof cur !== 'object') return undefined;
+    cur = cur[seg];
+  }
+  return cur;
+}
+
+// Copy of `event` with only the given dot paths (plus `_seq`), for `fields=` projections
+export function projectFields(event, paths) {
+  const out = { _seq: event._seq };
+  for (const path of paths) {
+    const value = getPath(event, path);
+    if (value === undefined) continue;
+    const segs = path.split('.');
+    let cur = out;
+    for (const seg of segs.slice(0, -1)) {
+      if (cur[seg] === null || typeof cur[seg] !== 'object') cur[seg] = {};
+      cur = cur[seg];
+    }
+    cur[segs[segs.length - 1]] = value;
+  }
+  return out;
+}
@@ -0,0 +1,32 @@
+// Mohano - Event filters
+// Field matchers shared by GET /api/events, /ws subscriptions and webhooks
+
+// A filter maps a field to the set of accepted values; fields that are absent match anything
+
+export const FILTER_FIELDS = ['session_id', 'agent_type', 'tool_name', 'hook_event_name'];
+
+// `source` is URLSearchParams or a plain object; values may be a string,
+// a comma-separated list or an array
+export function parseFilters(source) {
+  const filters = {};
+  for (const field of FILTER_FIELDS) {
+    const value = source instanceof URLSearchParams ? source.get(field) : source[field];
+    if (value === null || value === undefined || value === '') continue;
+    const values = (Array.isArray(value) ? value : String(value).split(',')).map(String).filter(Boolean);
+    if (values.length) filters[field] = new Set(values);
+  }
+  return filters;
+}
+
+export function matchesFilters(event, filters) {
+  for (const field in filters) {
+    if (!filters[field].has(event[field])) return false;
+  }
+  return true;
+}
+
+export function serializeFilters(filters) {
+  const out = {};
+  for (const field in filters) out[field] = [...filters[field]];
+  return out;
+}
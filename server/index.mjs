@@ -2,104 +2,410 @@
 // Node.js server for Claude Code hook event ingestion and visualization
 
 import { createServer } from 'node:http';
-import { randomBytes } from 'node:crypto';
+import { randomBytes, createHash } from 'node:crypto';
 import { WebSocketServer } from 'ws';
-import { readFileSync, existsSync, readdirSync, statSync } from 'node:fs';
+import { readFileSync, existsSync, statSync } from 'node:fs';
 import { join, extname, resolve, dirname } from 'node:path';
 import { fileURLToPath } from 'node:url';
+import { homedir } from 'node:os';
+import { createStore, EventLog } from './store.mjs';
+import { updateSession, summarizeSession, listSessions } from './sessions.mjs';
+import { createToolCalls, recordToolEvent, pruneToolCalls, listToolCalls } from './tool-calls.mjs';
+import { defineCounter, inc, dropSeries, boundedLabel, renderMetrics } from './metrics.mjs';
+import { createRedactor, loadRedactionConfig } from './redact.mjs';
+import { truncateFields, getPath, projectFields } from './fields.mjs';
+import { TokenBucket, takeTokens } from './rate-limit.mjs';
+import { parseFilters, matchesFilters, serializeFilters } from './filters.mjs';
+import {
+  createWebhooks, addWebhook, describeWebhook, serializeWebhooks, loadWebhooks,
+  closeWebhooks, dispatchWebhooks, listDeliveries, allowNetworks,
+} from './webhooks.mjs';
+import {
+  DEFAULT_RULES, createAlerts, compileRule, describeRule, addRule, removeRule,
+  clearAlerts, evaluateEvent, evaluateTimers, listAlerts,
+} from './alerts.mjs';
+import { TaskWatcher } from './tasks.mjs';
+import { createSearchIndex, indexEvent, removeEvent, parseQuery, searchEvents } from './search.mjs';
+import { EXPORT_FORMATS, parseScope, streamLines, ndjsonLines, csvLines, otlpLines } from './export.mjs';
+import { loadPrices, createUsage, clearUsage, recordUsage, summarizeUsage, sessionUsage, listUsage } from './usage.mjs';
+import { Replay } from './replay.mjs';
+import { SseClient, resumeSeq } from './sse.mjs';
+import { COMPRESS_MIN_BYTES, negotiateEncoding, compress } from './compress.mjs';
+import { pageEvents } from './cursors.mjs';
+import { createAgentTrees, updateAgentTree, describeAgentTree, listAgentTrees } from './agent-tree.mjs';
+import normalizer from '../frontend/normalize.cjs';
+
+const { VERSION: CANONICAL_VERSION, normalizeEvent } = normalizer;
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const PORT = parseInt(process.env.PORT || '7777', 10);
-const MAX_EVENTS = parseInt(process.env.MAX_EVENTS || '2000', 10);
+const MAX_EVENTS = parseInt(process.env.MAX_EVENTS || '2000', 10); // retained events per workspace (default)
+// Transcript entries are retained separately, so uploads do not evict hook events (0 = none kept)
+const MAX_TRANSCRIPT_EVENTS = parseInt(process.env.MOHANO_MAX_TRANSCRIPT_EVENTS || '2000', 10);
+const STORAGE = process.env.MOHANO_STORAGE || 'memory'; // memory | jsonl
+const DATA_DIR = resolve(process.env.MOHANO_DATA_DIR || join(__dirname, '../data'));
 const API_KEY = process.env.MOHANO_API_KEY || '';
+const AUTO_CREATE = process.env.MOHANO_AUTO_CREATE === 'true'; // create workspaces for unknown moh_* tokens
+const WEBHOOKS_ENABLED = process.env.MOHANO_WEBHOOKS !== 'off'; // the server makes requests to user-supplied URLs
 const FRONTEND_DIR = resolve(__dirname, '../frontend');
-const WORKSPACE_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
-const CLEANUP_INTERVAL_MS = 60 * 60 * 1000; // check every hour
+const TASKS_DIR = resolve(process.env.MOHANO_TASKS_DIR || join(homedir(), '.claude/tasks'));
+// Retention defaults; the admin API can override them per workspace (0 = no limit)
+// Deleting idle workspaces is opt-in: by default they are only hibernated
+const WORKSPACE_TTL_MS = parseFloat(process.env.MOHANO_WORKSPACE_TTL_HOURS || '0') * 60 * 60 * 1000;
+const MAX_EVENT_AGE_MS = parseFloat(process.env.MOHANO_MAX_EVENT_AGE_HOURS || '0') * 60 * 60 * 1000;
+const MAX_EVENTS_LIMIT = 100000; // largest per-workspace max_events the admin API accepts
+// Idle workspaces with no connected clients are written to disk and evicted from memory (0 = never)
+const HIBERNATE_AFTER_MS = parseFloat(process.env.MOHANO_HIBERNATE_AFTER_MINUTES || '30') * 60 * 1000;
+const CLEANUP_INTERVAL_MS = 60 * 1000; // check every minute
+const SHUTDOWN_TIMEOUT_MS = 10 * 1000; // in-flight requests get this long before connections are cut
+const SERVER_RESTART_CODE = 1012; // WebSocket "Service Restart": clients reconnect right away
+const STARTED_AT = Date.now();
+const MAX_BODY_BYTES = parseInt(process.env.MOHANO_MAX_BODY_BYTES || String(2 * 1024 * 1024), 10);
+const MAX_BATCH_BYTES = parseInt(process.env.MOHANO_MAX_BATCH_BYTES || String(20 * 1024 * 1024), 10);
+const MAX_FIELD_BYTES = parseInt(process.env.MOHANO_MAX_FIELD_BYTES || String(32 * 1024), 10);
+// Ingest limits in events/second (0 disables); bursts of RATE_BURST_SECONDS worth are allowed
+const TOKEN_RATE_LIMIT = parseFloat(process.env.MOHANO_TOKEN_RATE_LIMIT || '50');
+const WORKSPACE_RATE_LIMIT = parseFloat(process.env.MOHANO_WORKSPACE_RATE_LIMIT || '200');
+const RATE_BURST_SECONDS = 10;
+// Slow WebSocket consumers: stop sending live events above the high-water mark,
+// resync with one backfill once the socket has drained below the low-water mark
+const WS_HIGH_WATER_BYTES = parseInt(process.env.MOHANO_WS_HIGH_WATER_BYTES || String(4 * 1024 * 1024), 10);
+const WS_LOW_WATER_BYTES = 256 * 1024;
+const WS_RESYNC_INTERVAL_MS = 500;
+const ALERT_CHECK_INTERVAL_MS = 5 * 1000; // time-based alert conditions (absence, timeout, rate windows)
+// Cost budgets in USD (0 = none); the dashboard highlights sessions and agents above them
+const SESSION_BUDGET_USD = parseFloat(process.env.MOHANO_SESSION_BUDGET_USD || '0');
+const AGENT_BUDGET_USD = parseFloat(process.env.MOHANO_AGENT_BUDGET_USD || '0');
+const PRICES = loadPrices(process.env.MOHANO_PRICES);
+
+// Secret redaction on ingest: on by default, MOHANO_REDACT=off disables it
+const redactor = process.env.MOHANO_REDACT === 'off'
+  ? null
+  : createRedactor(loadRedactionConfig(process.env.MOHANO_REDACT_CONFIG));
+
+// Webhooks never reach private, loopback or link-local addresses, except
+// those listed here (comma-separated addresses or CIDR ranges)
+allowNetworks((process.env.MOHANO_WEBHOOK_ALLOW_NETWORKS || '').split(',').map(s => s.trim()).filter(Boolean));
+
+// --- Metrics ---
+// Workspaces are labelled by their storage key, never by token
+
+defineCounter('mohano_events_ingested_total', 'Events ingested, by hook event and tool');
+defineCounter('mohano_tool_failures_total', 'Tool calls that completed with a failure');
+defineCounter('mohano_rate_limit_rejections_total', 'Requests (events, for ingestion) rejected by a rate limit');
+defineCounter('mohano_redactions_total', 'Event fields redacted on ingest, by detector');
+defineCounter('mohano_ws_dropped_events_total', 'Live events not sent to a lagging WebSocket client (recovered by a resync backfill)');
+defineCounter('mohano_webhook_deliveries_total', 'Webhook deliveries finished, by result (success or failed after retries)');
+defineCounter('mohano_alerts_fired_total', 'Alerts that started firing, by rule');
+defineCounter('mohano_ws_resyncs_total', 'Backfills sent to WebSocket clients that fell behind');
 
-// --- Circular buffer ---
+// --- Per-workspace state ---
 
-class CircularBuffer {
-  constructor(capacity) {
-    this.capacity = capacity;
-    this.buf = new Array(capacity);
-    this.head = 0;
-    this.count = 0;
-  }
+const store = createStore(STORAGE, { dataDir: DATA_DIR });
+const workspaces = new Map(); // storage key -> { key, name, tokens, events, agents, sessions, toolCalls, wsClients, seq, ... }
+const tokenIndex = new Map(); // sha256(token) -> { workspace, record }
 
-  push(item) {
-    this.buf[this.head] = item;
-    this.head = (this.head + 1) % this.capacity;
-    if (this.count < this.capacity) this.count++;
-  }
+// Effective limits: the workspace's overrides over the server defaults
+function retentionOf(workspace) {
+  const overrides = workspace.retention || {};
+  return {
+    ttl_ms: overrides.ttl_ms ?? WORKSPACE_TTL_MS,
+    max_events: overrides.max_events ?? MAX_EVENTS,
+    max_age_ms: overrides.max_age_ms ?? MAX_EVENT_AGE_MS,
+  };
+}
+
+function createWorkspace(key, meta = {}) {
+  const retention = meta.retention || {}; // { ttl_ms, max_events, max_age_ms }, each optional
+  const maxEvents = retentionOf({ retention }).max_events;
+  return {
+    key,
+    name: meta.name || '',
+    tokens: meta.tokens || [], // [{ id, role, hash, prefix, created_at }]
+    retention,
+    hibernated: false, // events and derived state are on disk, see hibernateWorkspace()
+    hibernatedEvents: 0, // events in the snapshot while hibernated
+    events: createEventLog(key, maxEvents),
+    agents: new Map(),
+    agentTrees: createAgentTrees(), // session id -> parent/child agent tree
+    sessions: new Map(),
+    toolCalls: createToolCalls(maxEvents),
+    wsClients: new Set(), // live stream clients: WebSocket and SSE (SseClient)
+    replayClients: new Set(), // sockets playing back a session, not on the live stream
+    seq: 0,
+    webhooks: createWebhooks(),
+    alerts: createAlerts(meta.alert_rules || DEFAULT_RULES),
+    taskLists: new Map(), // task list name -> Set(session id), see trackTaskLists()
+    usage: createUsage(),
+    search: createSearchIndex(maxEvents + MAX_TRANSCRIPT_EVENTS),
+    ingestLimit: WORKSPACE_RATE_LIMIT > 0
+      ? new TokenBucket('workspace', WORKSPACE_RATE_LIMIT, WORKSPACE_RATE_LIMIT * RATE_BURST_SECONDS)
+      : null,
+    lastActivity: Date.now(),
+    createdAt: meta.createdAt || Date.now(),
+  };
+}
+
+// `maxEvents` hook events, plus transcript entries in a window of their own
+function createEventLog(key, maxEvents) {
+  return new EventLog(store, key, maxEvents, { transcriptRetention: MAX_TRANSCRIPT_EVENTS, isTranscript: isTranscriptEvent });
+}
+
+function saveWorkspaceMeta(workspace) {
+  store.saveMeta(workspace.key, {
+    name: workspace.name,
+    createdAt: workspace.createdAt,
+    tokens: workspace.tokens,
+    webhooks: serializeWebhooks(workspace.webhooks),
+    alert_rules: workspace.alerts.rules.map(describeRule),
+    retention: workspace.retention,
+    hibernated: workspace.hibernated,
+    lastActivity: workspace.lastActivity,
+    // What the admin views report for a hibernated workspace, without reading it back
+    ...(workspace.hibernated && { latest_seq: workspace.seq, event_count: workspace.hibernatedEvents }),
+  });
+}
+
+function addWorkspace(writeToken, { name } = {}) {
+  const workspace = createWorkspace(randomBytes(16).toString('hex'), { name });
+  addToken(workspace, writeToken, 'write');
+  workspaces.set(workspace.key, workspace);
+  saveWorkspaceMeta(workspace);
+  return workspace;
+}
 
-  toArray() {
-    if (this.count === 0) return [];
-    if (this.count < this.capacity) {
-      return this.buf.slice(0, this.count);
+// Global/default workspace for backward compat (local dev with no tokens)
+const globalWorkspace = createWorkspace(store.keyFor(null));
+
+// Reload persisted workspaces: the retained events, `_seq` and everything derived from them
+function restoreWorkspaces() {
+  for (const { key, meta, events } of store.loadAll()) {
+    const workspace = key === globalWorkspace.key ? globalWorkspace : createWorkspace(key, meta);
+    // One bad log must not keep the server from starting. A workspace that
+    // fails to load is left out (its store is not touched); the global one
+    // starts empty. Hibernated workspaces are read when they are woken.
+    try {
+      if (meta.hibernated && workspace !== globalWorkspace) {
+        workspace.hibernated = true;
+        workspace.seq = meta.latest_seq || 0;
+        workspace.hibernatedEvents = meta.event_count || 0;
+      } else {
+        loadEvents(workspace, events);
+      }
+    } catch (e) {
+      if (workspace !== globalWorkspace) {
+        console.warn(`Skipping workspace ${key}: its events could not be loaded: ${e.message}`);
+        continue;
+      }
+      console.warn(`Starting the global workspace empty: its events could not be loaded: ${e.message}`);
+      clearWorkspaceState(workspace);
     }
-    return [...this.buf.slice(this.head), ...this.buf.slice(0, this.head)];
+    if (workspace !== globalWorkspace) {
+      workspaces.set(key, workspace);
+      for (const record of workspace.tokens) tokenIndex.set(record.hash, { workspace, record });
+      // Stores written before token records kept the plaintext write token
+      if (meta.token) {
+        addToken(workspace, meta.token, 'write');
+        saveWorkspaceMeta(workspace);
+      }
+    }
+    loadWebhooks(workspace.webhooks, meta.webhooks);
+    if (workspace === globalWorkspace && meta.alert_rules) workspace.alerts = createAlerts(meta.alert_rules);
+    const last = events[events.length - 1];
+    workspace.lastActivity = (last && Date.parse(last.timestamp)) || meta.lastActivity || workspace.createdAt;
   }
+}
+
+// Empty event log and derived state, sized by the workspace's retention
+function clearWorkspaceState(workspace) {
+  const { max_events } = retentionOf(workspace);
+  workspace.events = createEventLog(workspace.key, max_events);
+  workspace.agents.clear();
+  workspace.agentTrees.clear();
+  workspace.sessions.clear();
+  workspace.toolCalls = createToolCalls(max_events);
+  workspace.taskLists.clear();
+  clearUsage(workspace.usage);
+  workspace.search = createSearchIndex(max_events + MAX_TRANSCRIPT_EVENTS);
+}
 
-  get size() {
-    return this.count;
+// Make `events` (read back from the store) the retained window and rebuild
+// everything derived from them. `_seq` only moves forward.
+function loadEvents(workspace, events) {
+  clearWorkspaceState(workspace);
+  // Stored before normalization existed, or by another version of it
+  for (const event of events) {
+    if (!event._canonical || event._canonical.v !== CANONICAL_VERSION) event._canonical = normalizeEvent(event);
+  }
+  workspace.events.load(events);
+  for (const event of workspace.events.toArray()) {
+    workspace.seq = Math.max(workspace.seq, event._seq || 0);
+    indexEvent(workspace.search, event);
+    if (isTranscriptEvent(event)) {
+      recordUsage(workspace.usage, PRICES, event);
+      continue;
+    }
+    trackAgent(workspace, event);
+    updateAgentTree(workspace.agentTrees, event);
+    updateSession(workspace.sessions, event);
+    recordToolEvent(workspace.toolCalls, event);
+    trackTaskLists(workspace, event);
   }
 }
 
-// --- Per-workspace state ---
+// --- Tokens ---
+// Write tokens (moh_*) ingest events and open the dashboard; read tokens
+// (mohr_*) only open the dashboard and read APIs. Only hashes are stored.
 
-const workspaces = new Map(); // token -> { events, agents, wsClients, seq, lastActivity, createdAt }
+function hashToken(token) {
+  return createHash('sha256').update(token).digest('hex');
+}
 
-function createWorkspace() {
-  return {
-    events: new CircularBuffer(MAX_EVENTS),
-    agents: new Map(),
-    wsClients: new Set(),
-    seq: 0,
-    lastActivity: Date.now(),
-    createdAt: Date.now(),
+function isWorkspaceToken(token) {
+  return Boolean(token) && (token.startsWith('moh_') || token.startsWith('mohr_'));
+}
+
+function generateToken(role) {
+  return (role === 'read' ? 'mohr_' : 'moh_') + randomBytes(24).toString('base64url');
+}
+
+function addToken(workspace, token, role) {
+  const record = {
+    id: randomBytes(6).toString('hex'),
+    role,
+    hash: hashToken(token),
+    prefix: token.slice(0, token.indexOf('_') + 5),
+    created_at: new Date().toISOString(),
   };
+  workspace.tokens.push(record);
+  tokenIndex.set(record.hash, { workspace, record });
+  return record;
 }
 
-// Global/default workspace for backward compat (local dev with no tokens)
-const globalWorkspace = createWorkspace();
+function revokeToken(workspace, record) {
+  workspace.tokens = workspace.tokens.filter(t => t !== record);
+  tokenIndex.delete(record.hash);
+  tokenBuckets.delete(record.hash);
+  saveWorkspaceMeta(workspace);
+  for (const client of [...workspace.wsClients, ...workspace.replayClients]) {
+    if (client.tokenHash === record.hash) {
+      try { client.close(4001, 'Token revoked'); } catch { /* ignore */ }
+    }
+  }
+}
+
+// Returns the token's role ('write' | 'read') or null if unknown
+function tokenRole(token) {
+  const entry = isWorkspaceToken(token) ? tokenIndex.get(hashToken(token)) : null;
+  return entry ? entry.record.role : null;
+}
+
+// `access` is 'read' or 'write'; read tokens resolve to null for writes
+function resolveWorkspace(token, access = 'read') {
+  // No token or non-workspace token (e.g., global API key): use global workspace
+  if (!isWorkspaceToken(token)) return globalWorkspace;
+
+  const entry = tokenIndex.get(hashToken(token));
+  if (entry) {
+    if (access === 'write' && entry.record.role !== 'write') return null;
+    entry.workspace.lastActivity = Date.now();
+    if (entry.workspace.hibernated) wakeWorkspace(entry.workspace);
+    return entry.workspace;
+  }
+  // Unknown token. With the memory store workspaces vanish on restart, so a
+  // deployment can opt in to re-creating them on first use to keep hook
+  // configs and dashboard URLs working across deploys.
+  if (AUTO_CREATE && token.startsWith('moh_')) return addWorkspace(token);
+  return null;
+}
 
-function getWorkspace(token) {
-  if (!token) return null;
-  const ws = workspaces.get(token);
-  if (ws) {
-    ws.lastActivity = Date.now();
+function removeWorkspace(workspace, code, reason) {
+  for (const client of [...workspace.wsClients, ...workspace.replayClients]) {
+    try { client.close(code, reason); } catch { /* ignore */ }
+  }
+  for (const record of workspace.tokens) {
+    tokenIndex.delete(record.hash);
+    tokenBuckets.delete(record.hash);
   }
-  return ws || null;
+  closeWebhooks(workspace.webhooks);
+  workspaces.delete(workspace.key);
+  store.remove(workspace.key);
+  dropSeries('workspace', workspace.key);
 }
 
-function resolveWorkspace(token) {
-  // Workspace tokens (moh_*) route to their isolated workspace
-  if (token && token.startsWith('moh_')) {
-    const ws = getWorkspace(token);
-    if (ws) return ws;
-    // Auto-create: workspaces are in-memory so they vanish on restart.
-    // Re-create on first access so dashboard URLs survive deploys.
-    const newWs = createWorkspace();
-    workspaces.set(token, newWs);
-    return newWs;
+// Drop all data but keep the workspace and its tokens. `_seq` restarts, so
+// connected clients are told to discard their state.
+function resetWorkspace(workspace) {
+  if (workspace.hibernated) wakeWorkspace(workspace);
+  clearWorkspaceState(workspace);
+  workspace.events.compact();
+  clearAlerts(workspace.alerts);
+  workspace.seq = 0;
+  for (const client of workspace.wsClients) {
+    sendBackfill(workspace, client, Number.MAX_SAFE_INTEGER);
   }
-  // No token or non-workspace token (e.g., global API key): use global workspace
-  return globalWorkspace;
+}
+
+// --- Hibernation ---
+// An idle workspace keeps its tokens, settings, webhooks and alert rules in
+// memory; its events go to the store and everything derived from them is
+// dropped. The first request with one of its tokens reads it all back. The
+// flag is saved with the meta, so after a restart it stays on disk until then.
+
+function hibernateWorkspace(workspace) {
+  const events = workspace.events.toArray();
+  store.hibernate(workspace.key, events);
+  clearWorkspaceState(workspace);
+  workspace.hibernated = true;
+  workspace.hibernatedEvents = events.length;
+  saveWorkspaceMeta(workspace);
+}
+
+function wakeWorkspace(workspace) {
+  workspace.hibernated = false;
+  workspace.hibernatedEvents = 0;
+  try {
+    loadEvents(workspace, store.wake(workspace.key));
+  } catch (e) {
+    console.warn(`Workspace ${workspace.key} woke up empty: its events could not be loaded: ${e.message}`);
+    clearWorkspaceState(workspace);
+  }
+  saveWorkspaceMeta(workspace);
 }
 
 // --- Workspace cleanup ---
 
+// Drop events older than the workspace's max age
+function pruneExpiredEvents(workspace, now) {
+  const { max_age_ms } = retentionOf(workspace);
+  if (!max_age_ms) return;
+  const events = workspace.events.toArray();
+  const cutoff = now - max_age_ms;
+  const expired = (event) => Date.parse(event.timestamp) < cutoff;
+  if (events.length === 0 || !expired(events[0])) return;
+  loadEvents(workspace, events.filter(e => !expired(e)));
+  workspace.events.compact();
+}
+
 function cleanupWorkspaces() {
   const now = Date.now();
-  for (const [token, ws] of workspaces) {
-    if (now - ws.lastActivity > WORKSPACE_TTL_MS) {
-      // Close all WebSocket clients
-      for (const client of ws.wsClients) {
-        try { client.close(4002, 'Workspace expired'); } catch { /* ignore */ }
-      }
-      workspaces.delete(token);
+  pruneExpiredEvents(globalWorkspace, now);
+  for (const ws of [...workspaces.values()]) {
+    const { ttl_ms } = retentionOf(ws);
+    const idle = now - ws.lastActivity;
+    // Deleted with its data only when a TTL is set; otherwise idle workspaces just hibernate
+    if (ttl_ms && idle > ttl_ms) {
+      removeWorkspace(ws, 4002, 'Workspace expired');
+    } else if (!ws.hibernated && HIBERNATE_AFTER_MS && idle > HIBERNATE_AFTER_MS
+      && ws.wsClients.size === 0 && ws.replayClients.size === 0) {
+      hibernateWorkspace(ws);
+    } else if (!ws.hibernated) {
+      pruneExpiredEvents(ws, now);
     }
   }
+  for (const [key, bucket] of tokenBuckets) {
+    if (bucket.full) tokenBuckets.delete(key);
+  }
 }
 
 const cleanupTimer = setInterval(cleanupWorkspaces, CLEANUP_INTERVAL_MS);
@@ -117,11 +423,51 @@ function checkCreateRateLimit() {
     createRateLimit.count = 0;
     createRateLimit.resetAt = now + RATE_LIMIT_WINDOW_MS;
   }
-  if (createRateLimit.count >= RATE_LIMIT_MAX) return false;
+  if (createRateLimit.count >= RATE_LIMIT_MAX) {
+    inc('mohano_rate_limit_rejections_total', { limit: 'workspace_create' });
+    return false;
+  }
   createRateLimit.count++;
   return true;
 }
 
+// --- Ingest rate limits ---
+// One bucket per workspace and one per token, so a single runaway hook can't
+// starve the other tokens of its workspace. Requests without a workspace token
+// (global workspace) share buckets by bearer value.
+
+const tokenBuckets = new Map(); // sha256(token) | 'anonymous' -> TokenBucket
+
+function tokenBucket(token) {
+  if (TOKEN_RATE_LIMIT <= 0) return null;
+  const key = token ? hashToken(token) : 'anonymous';
+  let bucket = tokenBuckets.get(key);
+  if (!bucket) {
+    bucket = new TokenBucket('token', TOKEN_RATE_LIMIT, TOKEN_RATE_LIMIT * RATE_BURST_SECONDS);
+    tokenBuckets.set(key, bucket);
+  }
+  return bucket;
+}
+
+// Returns how many of `n` events may be ingested now, plus Retry-After info
+function takeIngest(workspace, token, n) {
+  const buckets = [workspace.ingestLimit, tokenBucket(token)].filter(Boolean);
+  const result = takeTokens(buckets, n);
+  if (result.granted < n) {
+    inc('mohano_rate_limit_rejections_total', { limit: result.limit, workspace: workspace.key }, n - result.granted);
+  }
+  return result;
+}
+
+function sendRateLimited(res, retryAfterMs) {
+  res.writeHead(429, {
+    'Content-Type': 'application/json',
+    'Retry-After': String(Math.max(1, Math.ceil(retryAfterMs / 1000))),
+    ...CORS,
+  });
+  res.end(JSON.stringify({ error: 'Rate limit exceeded', retry_after_ms: retryAfterMs }));
+}
+
 // --- Helpers ---
 
 function trackAgent(workspace, event) {
@@ -137,53 +483,207 @@ function trackAgent(workspace, event) {
   });
 }
 
-function broadcastToWorkspace(workspace, event) {
-  const msg = JSON.stringify(event);
+// `payload` is a single event or an array of events (sent as one frame)
+function broadcastToWorkspace(workspace, payload) {
+  const msg = JSON.stringify(payload);
+  const count = Array.isArray(payload) ? payload.length : 1;
+  const lastSeq = Array.isArray(payload) ? payload[payload.length - 1]._seq : payload._seq;
   for (const ws of workspace.wsClients) {
+    if (isLagging(ws)) {
+      inc('mohano_ws_dropped_events_total', { workspace: workspace.key }, count);
+      continue;
+    }
+    ws.lastSeq = lastSeq;
+    let out = msg;
+    if (ws.filters) {
+      if (Array.isArray(payload)) {
+        const matching = payload.filter(e => matchesFilters(e, ws.filters));
+        if (matching.length === 0) continue;
+        if (matching.length < payload.length) out = JSON.stringify(matching);
+      } else if (!matchesFilters(payload, ws.filters)) {
+        continue;
+      }
+    }
     try {
-      ws.send(msg);
+      ws.send(out);
+    } catch {
+      workspace.wsClients.delete(ws);
+    }
+  }
+}
+
+// --- Slow consumers ---
+// A client whose send buffer passes WS_HIGH_WATER_BYTES stops getting live
+// events (and tool-call updates) so its backlog can't grow without bound. Once
+// it drains it is sent a single resume backfill from `ws.lastSeq`, the last
+// event it was sent, which coalesces everything it missed.
+
+function isLagging(ws) {
+  if (!ws.lagging && ws.bufferedAmount > WS_HIGH_WATER_BYTES) ws.lagging = true;
+  return Boolean(ws.lagging);
+}
+
+function resyncLaggingClients() {
+  for (const workspace of allWorkspaces()) {
+    for (const ws of workspace.wsClients) {
+      if (!ws.lagging || ws.bufferedAmount > WS_LOW_WATER_BYTES) continue;
+      ws.lagging = false;
+      inc('mohano_ws_resyncs_total', { workspace: workspace.key });
+      sendBackfill(workspace, ws, ws.lastSeq);
+    }
+  }
+}
+
+const resyncTimer = setInterval(resyncLaggingClients, WS_RESYNC_INTERVAL_MS);
+resyncTimer.unref();
+
+// Completed tool calls go out as one `tool_calls` control message. Client
+// filters apply to the calls' session, agent type and tool.
+function broadcastToolCalls(workspace, calls) {
+  const msg = JSON.stringify({ _type: 'tool_calls', calls });
+  for (const ws of workspace.wsClients) {
+    if (ws.lagging) continue; // the resync backfill makes the client reload tool calls
+    let out = msg;
+    if (ws.filters) {
+      const { hook_event_name, ...filters } = ws.filters;
+      const matching = calls.filter(c => matchesFilters(c, filters));
+      if (matching.length === 0) continue;
+      if (matching.length < calls.length) out = JSON.stringify({ _type: 'tool_calls', calls: matching });
+    }
+    try {
+      ws.send(out);
     } catch {
       workspace.wsClients.delete(ws);
     }
   }
 }
 
+// --- Alerts ---
+// Each state change goes out as `{ _type: 'alert', alert }` to every client,
+// regardless of its event filter. Lagging clients reload them after resyncing.
+
+function broadcastAlerts(workspace, alerts) {
+  for (const alert of alerts) {
+    if (alert.state === 'firing') inc('mohano_alerts_fired_total', { workspace: workspace.key, rule: alert.rule_id });
+  }
+  for (const ws of workspace.wsClients) {
+    if (ws.lagging) continue;
+    try {
+      for (const alert of alerts) ws.send(JSON.stringify({ _type: 'alert', alert }));
+    } catch {
+      workspace.wsClients.delete(ws);
+    }
+  }
+}
+
+function checkAlertTimers() {
+  const now = Date.now();
+  for (const workspace of allWorkspaces()) {
+    const changes = evaluateTimers(workspace.alerts, now);
+    if (changes.length) broadcastAlerts(workspace, changes);
+  }
+}
+
+const alertTimer = setInterval(checkAlertTimers, ALERT_CHECK_INTERVAL_MS);
+alertTimer.unref();
+
 function extractBearerToken(req) {
   const auth = req.headers['authorization'] || '';
   const match = auth.match(/^Bearer\s+(.+)$/);
   return match ? match[1] : null;
 }
 
-// --- Task file scanner ---
+// --- Task files ---
+// Task lists on this host are shared by every workspace that has seen the
+// list's session (solo sessions use their session id as list name) or team.
+// The global workspace sees every list, as before.
+
+function trackTaskLists(workspace, event) {
+  const session = event.session_id;
+  if (!session) return [];
+  const input = event.tool_input || {};
+  const added = [];
+  for (const list of [session, event.team_name, input.team_name]) {
+    if (!list || typeof list !== 'string') continue;
+    let sessions = workspace.taskLists.get(list);
+    if (!sessions) {
+      sessions = new Set();
+      workspace.taskLists.set(list, sessions);
+    }
+    if (!sessions.has(session)) {
+      sessions.add(session);
+      added.push(list);
+    }
+  }
+  return added;
+}
+
+// A task as a workspace sees it (tagged with its sessions), or null if not visible
+function scopeTask(workspace, task) {
+  const sessions = workspace.taskLists.get(task.team);
+  if (!sessions && workspace !== globalWorkspace) return null;
+  return { ...task, session_ids: sessions ? [...sessions] : [] };
+}
 
-function scanTaskFiles() {
-  const tasksDir = join(process.env.HOME, '.claude/tasks');
-  const results = [];
-  try {
-    if (!existsSync(tasksDir)) return results;
-    const teams = readdirSync(tasksDir);
-    for (const team of teams) {
-      const teamDir = join(tasksDir, team);
-      if (!statSync(teamDir).isDirectory()) continue;
-      const files = readdirSync(teamDir).filter(f => f.endsWith('.json'));
-      for (const file of files) {
-        try {
-          const content = readFileSync(join(teamDir, file), 'utf-8');
-          const parsed = JSON.parse(content);
-          results.push({ path: `${team}/${file}`, team, ...parsed });
-        } catch { /* skip */ }
-      }
+function workspaceTasks(workspace, lists = null) {
+  return taskWatcher.tasks()
+    .filter(task => !lists || lists.includes(task.team))
+    .map(task => scopeTask(workspace, task))
+    .filter(Boolean);
+}
+
+function broadcastTasks(workspace, changes) {
+  if (changes.length === 0) return;
+  const msg = JSON.stringify({ _type: 'tasks', changes });
+  for (const ws of workspace.wsClients) {
+    if (ws.lagging) continue;
+    try {
+      ws.send(msg);
+    } catch {
+      workspace.wsClients.delete(ws);
+    }
+  }
+}
+
+// --- Usage ---
+
+// `sessions` may repeat (one entry per ingested message); each is sent once
+function broadcastUsage(workspace, sessions) {
+  if (sessions.length === 0) return;
+  const msg = JSON.stringify({
+    _type: 'usage',
+    sessions: [...new Set(sessions)].map(s => summarizeUsage(s, { detail: true })),
+  });
+  for (const ws of workspace.wsClients) {
+    if (ws.lagging) continue;
+    try {
+      ws.send(msg);
+    } catch {
+      workspace.wsClients.delete(ws);
+    }
+  }
+}
+
+function onTaskFilesChanged(changes) {
+  for (const workspace of allWorkspaces()) {
+    const scoped = [];
+    for (const { op, task } of changes) {
+      const visible = scopeTask(workspace, task);
+      if (visible) scoped.push({ op, task: visible });
     }
-  } catch { /* tasks dir may not exist */ }
-  return results;
+    broadcastTasks(workspace, scoped);
+  }
 }
 
+const taskWatcher = new TaskWatcher(TASKS_DIR, onTaskFilesChanged);
+
 // --- Static file serving ---
 
 const MIME_TYPES = {
   '.html': 'text/html; charset=utf-8',
   '.js': 'application/javascript; charset=utf-8',
   '.mjs': 'application/javascript; charset=utf-8',
+  '.cjs': 'application/javascript; charset=utf-8',
   '.css': 'text/css; charset=utf-8',
   '.json': 'application/json; charset=utf-8',
   '.svg': 'image/svg+xml',
@@ -247,26 +747,216 @@ function serveLanding(res) {
 
 // --- Parse request body ---
 
-function parseBody(req) {
+// Rejects with `status: 413` once the body exceeds `limit` bytes; the rest of
+// the upload is drained and discarded.
+function readBody(req, limit = MAX_BODY_BYTES) {
   return new Promise((resolve, reject) => {
+    const tooLarge = () => Object.assign(new Error('Payload too large'), { status: 413 });
+    if (parseInt(req.headers['content-length'] || '0', 10) > limit) {
+      req.resume();
+      reject(tooLarge());
+      return;
+    }
     const chunks = [];
-    req.on('data', chunk => chunks.push(chunk));
-    req.on('end', () => {
-      try {
-        resolve(JSON.parse(Buffer.concat(chunks).toString()));
-      } catch (e) {
-        reject(e);
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > limit) {
+        chunks.length = 0;
+        if (size - chunk.length <= limit) reject(tooLarge());
+        return;
       }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      if (size <= limit) resolve(Buffer.concat(chunks).toString());
     });
     req.on('error', reject);
   });
 }
 
+async function parseBody(req) {
+  return JSON.parse(await readBody(req));
+}
+
+// A percent-encoded path segment, or null when the encoding is malformed
+function decodeParam(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return null;
+  }
+}
+
+function sendTooLarge(res, limit) {
+  res.writeHead(413, { 'Content-Type': 'application/json', ...CORS });
+  res.end(JSON.stringify({ error: `Payload too large (max ${limit} bytes)` }));
+}
+
+// Batch bodies: a JSON array, a single JSON object, or newline-delimited JSON.
+// Returns one entry per item: { value } or { error }.
+function parseBatch(text) {
+  try {
+    const parsed = JSON.parse(text);
+    return (Array.isArray(parsed) ? parsed : [parsed]).map(value => ({ value }));
+  } catch {
+    // Not a single JSON document: fall back to NDJSON, one event per line
+  }
+  const items = [];
+  for (const line of text.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      items.push({ value: JSON.parse(line) });
+    } catch {
+      items.push({ error: 'Invalid JSON' });
+    }
+  }
+  return items;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// --- Ingest ---
+// ingestEvent() updates workspace state and collects derived changes;
+// publish() fans the events and those changes out to live clients.
+
+function newChanges() {
+  return { toolCalls: [], alerts: [], tasks: [], usage: [] };
+}
+
+function isTranscriptEvent(event) {
+  return event.hook_event_name === 'TranscriptMessage';
+}
+
+// Derived state: agents, sessions, tool calls, alerts and task lists.
+// Imported history is not evaluated against alert rules.
+function trackActivity(workspace, event, changes, { imported = false } = {}) {
+  trackAgent(workspace, event);
+  updateAgentTree(workspace.agentTrees, event);
+  updateSession(workspace.sessions, event);
+  const call = recordToolEvent(workspace.toolCalls, event);
+  if (call && call.status !== 'running') changes.toolCalls.push(call);
+  if (!imported) changes.alerts.push(...evaluateEvent(workspace.alerts, event));
+  // Newly linked task lists: send their current tasks
+  const lists = trackTaskLists(workspace, event);
+  if (lists.length) {
+    for (const task of workspaceTasks(workspace, lists)) changes.tasks.push({ op: 'upsert', task });
+  }
+  return call;
+}
+
+function ingestEvent(workspace, body, changes, options = {}) {
+  // Top-level `_` keys are server fields (`_seq`, `_redacted`, `_truncated`,
+  // ...) and are skipped by redaction: a client cannot set them
+  body = Object.fromEntries(Object.entries(body).filter(([key]) => !key.startsWith('_')));
+  if (options.imported) body._imported = true;
+
+  if (redactor) {
+    const { event: scrubbed, redactions } = redactor(body);
+    if (redactions.length) {
+      body = { ...scrubbed, _redacted: redactions };
+      for (const { kinds } of redactions) {
+        for (const kind of kinds) inc('mohano_redactions_total', { workspace: workspace.key, kind });
+      }
+    }
+  }
+
+  // Oversized strings are cut to a preview; full values go to the store
+  const { event: trimmed, offloaded } = truncateFields(body, MAX_FIELD_BYTES);
+  if (offloaded.length) {
+    body = { ...trimmed, _truncated: offloaded.map(({ path, size }) => ({ path, size })) };
+  }
+
+  // The raw payload stays as sent; `_canonical` is the normalized view of it.
+  // The event is normalized and folded into the derived state before it is
+  // persisted, so one that throws on the way is rejected without reaching the
+  // store or using up a `_seq`.
+  const event = {
+    ...body,
+    timestamp: body.timestamp || new Date().toISOString(),
+    _seq: workspace.seq + 1,
+    _canonical: normalizeEvent(body),
+  };
+  let call = null;
+  if (isTranscriptEvent(event)) {
+    const usage = recordUsage(workspace.usage, PRICES, event);
+    if (usage) {
+      event._cost_usd = usage.cost_usd;
+      changes.usage.push(usage.session);
+    }
+  } else {
+    // Transcript entries are uploaded after the fact: they are conversation, not
+    // agent activity, and must not revive stopped sessions or reset alert timers
+    call = trackActivity(workspace, event, changes, options);
+  }
+
+  workspace.seq = event._seq;
+  for (const { path, value } of offloaded) {
+    store.putField(workspace.key, event._seq, path, value);
+  }
+  const evicted = workspace.events.push(event);
+  // The search index follows the log's windows: hook events and transcript
+  // entries do not leave in one order
+  if (evicted) removeEvent(workspace.search, evicted);
+  indexEvent(workspace.search, event);
+  pruneToolCalls(workspace.toolCalls, workspace.events.oldestSeq);
+
+  inc('mohano_events_ingested_total', {
+    workspace: workspace.key,
+    hook_event: boundedLabel(workspace.key, 'hook_event', event._canonical.type),
+    tool: boundedLabel(workspace.key, 'tool', event._canonical.tool ? event._canonical.tool.name : ''),
+  });
+  if (call && call.status === 'failure') {
+    inc('mohano_tool_failures_total', { workspace: workspace.key, tool: boundedLabel(workspace.key, 'tool', call.tool_name) });
+  }
+  return event;
+}
+
+// `payload` is the single event or the batch array, as the client should receive it.
+// Imported history is shown to live clients but not sent to webhooks.
+function publish(workspace, payload, changes, { imported = false } = {}) {
+  broadcastToWorkspace(workspace, payload);
+  if (changes.toolCalls.length) broadcastToolCalls(workspace, changes.toolCalls);
+  if (changes.alerts.length) broadcastAlerts(workspace, changes.alerts);
+  broadcastTasks(workspace, changes.tasks);
+  broadcastUsage(workspace, changes.usage);
+  if (WEBHOOKS_ENABLED && !imported) {
+    dispatchWebhooks(workspace.webhooks, Array.isArray(payload) ? payload : [payload], (delivery) => {
+      inc('mohano_webhook_deliveries_total', { workspace: workspace.key, result: delivery.status });
+    });
+  }
+}
+
+// --- Metrics endpoint ---
+
+function allWorkspaces() {
+  return [globalWorkspace, ...workspaces.values()];
+}
+
+function collectGauges() {
+  const list = allWorkspaces();
+  return [
+    { name: 'mohano_workspaces', help: 'Workspaces held by the server (excluding the global one)', samples: [{ value: workspaces.size }] },
+    { name: 'mohano_ws_clients', help: 'Connected WebSocket clients',
+      samples: list.map(w => ({ labels: { workspace: w.key }, value: w.wsClients.size })) },
+    { name: 'mohano_buffer_events', help: 'Events currently retained in the workspace buffer',
+      samples: list.map(w => ({ labels: { workspace: w.key }, value: w.events.size })) },
+    { name: 'mohano_buffer_capacity', help: 'Retention limit per workspace (max_events plus the transcript window)',
+      samples: list.map(w => ({ labels: { workspace: w.key }, value: w.events.capacity })) },
+    { name: 'mohano_buffer_fill_ratio', help: 'Retained events as a fraction of the retention limit',
+      samples: list.map(w => ({ labels: { workspace: w.key }, value: w.events.size / w.events.capacity })) },
+    { name: 'mohano_workspaces_hibernated', help: 'Workspaces evicted from memory until their next request',
+      samples: [{ value: [...workspaces.values()].filter(w => w.hibernated).length }] },
+  ];
+}
+
 // --- HTTP Server ---
 
 const CORS = {
   'Access-Control-Allow-Origin': '*',
-  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  'Access-Control-Allow-Methods': 'GET, POST, PATCH, DELETE, OPTIONS',
   'Access-Control-Allow-Headers': 'Content-Type, Authorization',
 };
 
@@ -280,81 +970,440 @@ function checkApiKey(req) {
   return false;
 }
 
-const server = createServer(async (req, res) => {
-  const url = new URL(req.url, `http://localhost:${PORT}`);
-  const { pathname } = url;
-
-  // CORS preflight
-  if (req.method === 'OPTIONS') {
-    res.writeHead(204, CORS);
-    res.end();
+// Bodies of COMPRESS_MIN_BYTES or more are compressed if the client accepts gzip or brotli
+function sendJson(res, status, data) {
+  const body = JSON.stringify(data);
+  const headers = { 'Content-Type': 'application/json', 'Vary': 'Accept-Encoding', ...CORS };
+  const encoding = body.length >= COMPRESS_MIN_BYTES ? negotiateEncoding(res.req.headers['accept-encoding']) : null;
+  if (!encoding) {
+    res.writeHead(status, headers);
+    res.end(body);
     return;
   }
+  compress(body, encoding).then((compressed) => {
+    res.writeHead(status, { ...headers, 'Content-Encoding': encoding });
+    res.end(compressed);
+  }, () => {
+    res.writeHead(status, headers);
+    res.end(body);
+  });
+}
 
-  // --- Dashboard route: GET /d/:token ---
-  const dashboardMatch = pathname.match(/^\/d\/([^/]+)$/);
-  if (dashboardMatch && req.method === 'GET') {
-    const token = dashboardMatch[1];
-    // Validate token format (must be moh_*)
-    if (!token.startsWith('moh_')) {
-      res.writeHead(404, { 'Content-Type': 'text/html; charset=utf-8' });
-      res.end('<h1>Workspace not found</h1><p>Invalid workspace token.</p>');
-      return;
-    }
-    // Auto-create workspace if it doesn't exist (survives server restarts)
-    if (!workspaces.has(token)) {
-      workspaces.set(token, createWorkspace());
-    }
-    serveDashboard(res);
+// --- Webhooks API ---
+// Subscription URLs are often credentials themselves (Slack or Discord hook
+// URLs), so every route needs a write token. Reads take it as `?token=` or
+// `Authorization: Bearer`; changes only as `Authorization: Bearer`.
+
+async function handleWebhooks(req, res, url) {
+  if (!WEBHOOKS_ENABLED) {
+    sendJson(res, 403, { error: 'Webhooks are disabled on this server' });
     return;
   }
-
-  // --- Landing page: GET / ---
-  if (pathname === '/' && req.method === 'GET') {
-    serveLanding(res);
+  const write = req.method !== 'GET';
+  const token = write ? extractBearerToken(req) : extractBearerToken(req) || url.searchParams.get('token');
+  const workspace = resolveWorkspace(token, 'write');
+  if (!workspace) {
+    sendJson(res, tokenRole(token) === 'read' ? 403 : 401, {
+      error: tokenRole(token) === 'read' ? 'Webhooks need a write token' : 'Invalid workspace token',
+    });
+    return;
+  }
+  const { webhooks } = workspace;
+  const match = url.pathname.match(/^\/api\/webhooks(?:\/([^/]+)(\/deliveries)?)?$/);
+  const id = match && match[1];
+  if (!match || (id && !webhooks.subscriptions.has(id))) {
+    sendJson(res, 404, { error: 'Webhook not found' });
     return;
   }
 
-  // --- POST /api/workspaces - create a new workspace ---
-  if (pathname === '/api/workspaces' && req.method === 'POST') {
-    if (!checkCreateRateLimit()) {
-      res.writeHead(429, { 'Content-Type': 'application/json', ...CORS });
-      res.end(JSON.stringify({ error: 'Rate limit exceeded. Try again later.' }));
+  if (!id && req.method === 'GET') {
+    sendJson(res, 200, [...webhooks.subscriptions.values()].map(describeWebhook));
+  } else if (!id && req.method === 'POST') {
+    let sub;
+    try {
+      sub = addWebhook(webhooks, await parseBody(req));
+    } catch (e) {
+      if (e.status === 413) {
+        sendTooLarge(res, MAX_BODY_BYTES);
+        return;
+      }
+      sendJson(res, 400, { error: e instanceof SyntaxError ? 'Invalid JSON' : e.message });
       return;
     }
+    saveWorkspaceMeta(workspace);
+    // The secret is only shown once
+    sendJson(res, 201, { ...describeWebhook(sub), secret: sub.secret });
+  } else if (id && !match[2] && req.method === 'GET') {
+    sendJson(res, 200, describeWebhook(webhooks.subscriptions.get(id)));
+  } else if (id && !match[2] && req.method === 'DELETE') {
+    webhooks.subscriptions.delete(id);
+    saveWorkspaceMeta(workspace);
+    sendJson(res, 200, { ok: true });
+  } else if (id && match[2] && req.method === 'GET') {
+    sendJson(res, 200, listDeliveries(webhooks, id));
+  } else {
+    sendJson(res, 405, { error: 'Method not allowed' });
+  }
+}
 
-    const token = 'moh_' + randomBytes(24).toString('base64url');
-    workspaces.set(token, createWorkspace());
-
-    const host = req.headers['host'] || `localhost:${PORT}`;
-    const protocol = req.headers['x-forwarded-proto'] || 'http';
-    const dashboardUrl = `${protocol}://${host}/d/${token}`;
+// --- Alerts API ---
+// Same auth split as webhooks: `?token=` for reads, a write token for rule changes.
 
-    res.writeHead(201, { 'Content-Type': 'application/json', ...CORS });
-    res.end(JSON.stringify({ token, dashboard_url: dashboardUrl }));
+async function handleAlerts(req, res, url) {
+  const write = req.method !== 'GET';
+  const workspace = write
+    ? resolveWorkspace(extractBearerToken(req), 'write')
+    : resolveWorkspace(url.searchParams.get('token'));
+  if (!workspace) {
+    sendJson(res, 401, { error: 'Invalid workspace token' });
     return;
   }
+  const { alerts } = workspace;
 
-  // --- API key check for POST /api/ endpoints (except /api/workspaces handled above) ---
-  if (pathname.startsWith('/api/') && req.method === 'POST') {
-    // For workspace-token-based requests, accept any moh_* token
-    const bearerToken = extractBearerToken(req);
-    if (bearerToken && bearerToken.startsWith('moh_')) {
-      // Workspace token auth - auto-create if needed (resolveWorkspace handles this)
-    } else if (!checkApiKey(req)) {
-      // Fall back to API key check for non-workspace tokens
-      res.writeHead(401, { 'Content-Type': 'application/json', ...CORS });
-      res.end(JSON.stringify({ error: 'Unauthorized' }));
-      return;
-    }
+  if (url.pathname === '/api/alerts' && req.method === 'GET') {
+    sendJson(res, 200, listAlerts(alerts, { state: url.searchParams.get('state') }));
+    return;
   }
-
-  // --- POST /api/events ---
-  if (pathname === '/api/events' && req.method === 'POST') {
+  if (url.pathname === '/api/alerts/rules' && req.method === 'GET') {
+    sendJson(res, 200, alerts.rules.map(describeRule));
+    return;
+  }
+  if (url.pathname === '/api/alerts/rules' && req.method === 'POST') {
+    let rule;
+    try {
+      rule = compileRule(await parseBody(req));
+      broadcastAlerts(workspace, addRule(alerts, rule));
+    } catch (e) {
+      if (e.status === 413) {
+        sendTooLarge(res, MAX_BODY_BYTES);
+        return;
+      }
+      sendJson(res, 400, { error: e instanceof SyntaxError ? 'Invalid JSON' : e.message });
+      return;
+    }
+    saveWorkspaceMeta(workspace);
+    sendJson(res, 201, describeRule(rule));
+    return;
+  }
+  const ruleMatch = url.pathname.match(/^\/api\/alerts\/rules\/([^/]+)$/);
+  if (ruleMatch && req.method === 'DELETE') {
+    if (!alerts.rules.some(r => r.id === ruleMatch[1])) {
+      sendJson(res, 404, { error: 'Rule not found' });
+      return;
+    }
+    broadcastAlerts(workspace, removeRule(alerts, ruleMatch[1]));
+    saveWorkspaceMeta(workspace);
+    sendJson(res, 200, { ok: true });
+    return;
+  }
+  sendJson(res, 404, { error: 'Not found' });
+}
+
+// --- Admin API ---
+// Requires MOHANO_API_KEY; workspaces are addressed by their storage key.
+
+// Retained events, or those in the snapshot while hibernated
+function eventCount(workspace) {
+  return workspace.hibernated ? workspace.hibernatedEvents : workspace.events.size;
+}
+
+function describeWorkspace(workspace) {
+  return {
+    id: workspace.key,
+    name: workspace.name,
+    created_at: new Date(workspace.createdAt).toISOString(),
+    last_activity: new Date(workspace.lastActivity).toISOString(),
+    event_count: eventCount(workspace),
+    latest_seq: workspace.seq,
+    agent_count: workspace.agents.size,
+    session_count: workspace.sessions.size,
+    ws_clients: workspace.wsClients.size,
+    hibernated: workspace.hibernated,
+    retention: retentionOf(workspace),
+    tokens: workspace.tokens.map(({ id, role, prefix, created_at }) => ({ id, role, prefix, created_at })),
+  };
+}
+
+// Rough heap footprint: serialized size of the retained events plus the
+// search index (sessions, tool calls and agents mostly reference the same objects)
+// Both figures are kept up to date as events come and go
+function estimateMemory(workspace) {
+  const events = workspace.events.bytes;
+  const index = workspace.search.bytes;
+  return { events_bytes: events, index_bytes: index, total_bytes: events + index };
+}
+
+function describeMemory() {
+  const { rss, heapUsed, heapTotal, external } = process.memoryUsage();
+  const list = allWorkspaces().map(workspace => ({
+    id: workspace.key,
+    name: workspace.name,
+    hibernated: workspace.hibernated,
+    event_count: eventCount(workspace),
+    ws_clients: workspace.wsClients.size,
+    last_activity: new Date(workspace.lastActivity).toISOString(),
+    memory: estimateMemory(workspace),
+  }));
+  list.sort((a, b) => b.memory.total_bytes - a.memory.total_bytes);
+  return {
+    process: { rss, heap_used: heapUsed, heap_total: heapTotal, external },
+    hibernate_after_ms: HIBERNATE_AFTER_MS,
+    workspaces: list,
+  };
+}
+
+const RETENTION_FIELDS = ['ttl_ms', 'max_events', 'max_age_ms'];
+
+// Merge `{ ttl_ms, max_events, max_age_ms }` into the current overrides: a
+// number sets the limit (0 = none, except for max_events), null restores the
+// server default. Throws with a user-facing message.
+function parseRetention(input, current) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) throw new Error('retention must be an object');
+  const next = { ...current };
+  for (const [field, value] of Object.entries(input)) {
+    if (!RETENTION_FIELDS.includes(field)) throw new Error(`Unknown retention field: ${field}`);
+    if (value === null) {
+      delete next[field];
+      continue;
+    }
+    if (!Number.isInteger(value) || value < 0) throw new Error(`${field} must be a non-negative integer or null`);
+    if (field === 'max_events' && (value < 1 || value > MAX_EVENTS_LIMIT)) {
+      throw new Error(`max_events must be between 1 and ${MAX_EVENTS_LIMIT}`);
+    }
+    next[field] = value;
+  }
+  return next;
+}
+
+// Re-apply the limits to what is retained now (a larger max_events keeps
+// room for new events; it does not bring back dropped ones)
+function applyRetention(workspace, retention) {
+  if (workspace.hibernated) wakeWorkspace(workspace);
+  workspace.retention = retention;
+  loadEvents(workspace, workspace.events.toArray());
+  workspace.events.compact();
+  pruneExpiredEvents(workspace, Date.now());
+  saveWorkspaceMeta(workspace);
+}
+
+async function handleAdmin(req, res, pathname) {
+  if (!API_KEY) {
+    sendJson(res, 403, { error: 'Admin API disabled (MOHANO_API_KEY not set)' });
+    return;
+  }
+  if (!checkApiKey(req)) {
+    sendJson(res, 401, { error: 'Unauthorized' });
+    return;
+  }
+
+  if (pathname === '/api/admin/workspaces' && req.method === 'GET') {
+    sendJson(res, 200, [...workspaces.values()].map(describeWorkspace));
+    return;
+  }
+
+  if (pathname === '/api/admin/memory' && req.method === 'GET') {
+    sendJson(res, 200, describeMemory());
+    return;
+  }
+
+  const match = pathname.match(/^\/api\/admin\/workspaces\/([^/]+)(?:\/(reset|hibernate|tokens)(?:\/([^/]+))?)?$/);
+  const workspace = match && workspaces.get(match[1]);
+  if (!workspace) {
+    sendJson(res, 404, { error: 'Workspace not found' });
+    return;
+  }
+  const [, , action, tokenId] = match;
+
+  try {
+    if (!action && req.method === 'GET') {
+      sendJson(res, 200, describeWorkspace(workspace));
+    } else if (!action && req.method === 'PATCH') {
+      const body = await parseBody(req);
+      if (typeof body.name !== 'string' && body.retention === undefined) {
+        sendJson(res, 400, { error: 'Expected { name } and/or { retention }' });
+        return;
+      }
+      let retention = null;
+      if (body.retention !== undefined) {
+        try {
+          retention = parseRetention(body.retention, workspace.retention);
+        } catch (e) {
+          sendJson(res, 400, { error: e.message });
+          return;
+        }
+      }
+      if (typeof body.name === 'string') workspace.name = body.name.slice(0, 100);
+      if (retention) applyRetention(workspace, retention);
+      else saveWorkspaceMeta(workspace);
+      sendJson(res, 200, describeWorkspace(workspace));
+    } else if (!action && req.method === 'DELETE') {
+      removeWorkspace(workspace, 4003, 'Workspace deleted');
+      sendJson(res, 200, { ok: true });
+    } else if (action === 'reset' && !tokenId && req.method === 'POST') {
+      resetWorkspace(workspace);
+      sendJson(res, 200, describeWorkspace(workspace));
+    } else if (action === 'hibernate' && !tokenId && req.method === 'POST') {
+      if (workspace.wsClients.size || workspace.replayClients.size) {
+        sendJson(res, 409, { error: 'Workspace has connected clients' });
+        return;
+      }
+      if (!workspace.hibernated) hibernateWorkspace(workspace);
+      sendJson(res, 200, describeWorkspace(workspace));
+    } else if (action === 'tokens' && !tokenId && req.method === 'POST') {
+      const body = await parseBody(req);
+      const role = body.role || 'read';
+      if (role !== 'read' && role !== 'write') {
+        sendJson(res, 400, { error: "role must be 'read' or 'write'" });
+        return;
+      }
+      // The plaintext token is only ever returned here
+      const token = generateToken(role);
+      const record = addToken(workspace, token, role);
+      saveWorkspaceMeta(workspace);
+      sendJson(res, 201, { id: record.id, role, token });
+    } else if (action === 'tokens' && tokenId && req.method === 'DELETE') {
+      const record = workspace.tokens.find(t => t.id === tokenId);
+      if (!record) {
+        sendJson(res, 404, { error: 'Token not found' });
+        return;
+      }
+      revokeToken(workspace, record);
+      sendJson(res, 200, { ok: true });
+    } else {
+      sendJson(res, 405, { error: 'Method not allowed' });
+    }
+  } catch (e) {
+    if (e.status === 413) {
+      sendTooLarge(res, MAX_BODY_BYTES);
+      return;
+    }
+    sendJson(res, 400, { error: 'Invalid JSON' });
+  }
+}
+
+const server = createServer(async (req, res) => {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+  const { pathname } = url;
+
+  // CORS preflight
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, CORS);
+    res.end();
+    return;
+  }
+
+  // --- Health checks: GET /healthz (alive), GET /readyz (can take traffic) ---
+  // No auth, for load balancers and orchestrators
+  if ((pathname === '/healthz' || pathname === '/readyz') && req.method === 'GET') {
+    const health = describeHealth();
+    const ok = pathname === '/healthz' || health.status === 'ok';
+    sendJson(res, ok ? 200 : 503, health);
+    return;
+  }
+
+  // Draining for shutdown: requests already in flight finish, new writes and streams are refused
+  if (shuttingDown && (req.method !== 'GET' || pathname === '/api/stream')) {
+    res.writeHead(503, { 'Content-Type': 'application/json', 'Retry-After': '5', 'Connection': 'close', ...CORS });
+    res.end(JSON.stringify({ error: 'Server shutting down' }));
+    return;
+  }
+
+  // --- Dashboard route: GET /d/:token ---
+  const dashboardMatch = pathname.match(/^\/d\/([^/]+)$/);
+  if (dashboardMatch && req.method === 'GET') {
+    const token = dashboardMatch[1];
+    // Read or write token; unknown ones are only accepted with MOHANO_AUTO_CREATE
+    if (!isWorkspaceToken(token) || !resolveWorkspace(token)) {
+      res.writeHead(404, { 'Content-Type': 'text/html; charset=utf-8' });
+      res.end('<h1>Workspace not found</h1><p>Invalid workspace token.</p>');
+      return;
+    }
+    serveDashboard(res);
+    return;
+  }
+
+  // --- GET /metrics (Prometheus text format) ---
+  if (pathname === '/metrics' && req.method === 'GET') {
+    if (!checkApiKey(req)) {
+      res.writeHead(401, { 'Content-Type': 'text/plain; charset=utf-8' });
+      res.end('Unauthorized\n');
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+    res.end(renderMetrics(collectGauges()));
+    return;
+  }
+
+  // --- Landing page: GET / ---
+  if (pathname === '/' && req.method === 'GET') {
+    serveLanding(res);
+    return;
+  }
+
+  // --- Admin page: GET /admin (the page asks for the API key) ---
+  if (pathname === '/admin' && req.method === 'GET') {
+    serveFile(join(FRONTEND_DIR, 'admin.html'), res);
+    return;
+  }
+
+  // --- POST /api/workspaces - create a new workspace ---
+  if (pathname === '/api/workspaces' && req.method === 'POST') {
+    if (!checkCreateRateLimit()) {
+      res.writeHead(429, { 'Content-Type': 'application/json', ...CORS });
+      res.end(JSON.stringify({ error: 'Rate limit exceeded. Try again later.' }));
+      return;
+    }
+
+    let name = '';
+    try {
+      const body = await parseBody(req);
+      if (typeof body.name === 'string') name = body.name.slice(0, 100);
+    } catch { /* body is optional */ }
+
+    const token = generateToken('write');
+    const readToken = generateToken('read');
+    const workspace = addWorkspace(token, { name });
+    addToken(workspace, readToken, 'read');
+    saveWorkspaceMeta(workspace);
+
+    // The shareable dashboard URL carries the read-only token
+    const host = req.headers['host'] || `localhost:${PORT}`;
+    const protocol = req.headers['x-forwarded-proto'] || 'http';
+    const dashboardUrl = `${protocol}://${host}/d/${readToken}`;
+
+    sendJson(res, 201, { token, read_token: readToken, dashboard_url: dashboardUrl });
+    return;
+  }
+
+  // --- Admin API: /api/admin/workspaces ---
+  if (pathname.startsWith('/api/admin/')) {
+    await handleAdmin(req, res, pathname);
+    return;
+  }
+
+  // --- API key check for POST/DELETE /api/ endpoints (except /api/workspaces handled above) ---
+  if (pathname.startsWith('/api/') && (req.method === 'POST' || req.method === 'DELETE')) {
+    const bearerToken = extractBearerToken(req);
+    if (isWorkspaceToken(bearerToken)) {
+      // Workspace token auth: read-only tokens cannot ingest
+      if (tokenRole(bearerToken) === 'read') {
+        sendJson(res, 403, { error: 'Read-only token' });
+        return;
+      }
+    } else if (!checkApiKey(req)) {
+      // Fall back to API key check for non-workspace tokens
+      res.writeHead(401, { 'Content-Type': 'application/json', ...CORS });
+      res.end(JSON.stringify({ error: 'Unauthorized' }));
+      return;
+    }
+  }
+
+  // --- POST /api/events ---
+  if (pathname === '/api/events' && req.method === 'POST') {
     try {
       const body = await parseBody(req);
       const bearerToken = extractBearerToken(req);
-      const workspace = resolveWorkspace(bearerToken);
+      const workspace = resolveWorkspace(bearerToken, 'write');
 
       if (!workspace) {
         res.writeHead(401, { 'Content-Type': 'application/json', ...CORS });
@@ -362,20 +1411,144 @@ const server = createServer(async (req, res) => {
         return;
       }
 
-      const event = {
-        ...body,
-        timestamp: body.timestamp || new Date().toISOString(),
-        _seq: ++workspace.seq,
-      };
-      workspace.events.push(event);
-      trackAgent(workspace, event);
-      broadcastToWorkspace(workspace, event);
+      const limit = takeIngest(workspace, bearerToken, 1);
+      if (limit.granted === 0) {
+        sendRateLimited(res, limit.retryAfterMs);
+        return;
+      }
+
+      const changes = newChanges();
+      const event = ingestEvent(workspace, body, changes);
+      publish(workspace, event, changes);
       res.writeHead(200, { 'Content-Type': 'application/json', ...CORS });
       res.end(JSON.stringify({ ok: true, seq: event._seq }));
-    } catch {
+    } catch (e) {
+      if (e.status === 413) {
+        sendTooLarge(res, MAX_BODY_BYTES);
+        return;
+      }
+      if (!(e instanceof SyntaxError)) console.warn(`Event rejected: ${e.message}`);
+      res.writeHead(400, { 'Content-Type': 'application/json', ...CORS });
+      res.end(JSON.stringify({ error: e instanceof SyntaxError ? 'Invalid JSON' : 'Event could not be processed' }));
+    }
+    return;
+  }
+
+  // --- POST /api/events/batch ---
+  if (pathname === '/api/events/batch' && req.method === 'POST') {
+    const bearerToken = extractBearerToken(req);
+    const workspace = resolveWorkspace(bearerToken, 'write');
+    if (!workspace) {
+      res.writeHead(401, { 'Content-Type': 'application/json', ...CORS });
+      res.end(JSON.stringify({ error: 'Invalid workspace token' }));
+      return;
+    }
+
+    let items;
+    try {
+      items = parseBatch(await readBody(req, MAX_BATCH_BYTES));
+    } catch (e) {
+      if (e.status === 413) {
+        sendTooLarge(res, MAX_BATCH_BYTES);
+        return;
+      }
       res.writeHead(400, { 'Content-Type': 'application/json', ...CORS });
-      res.end(JSON.stringify({ error: 'Invalid JSON' }));
+      res.end(JSON.stringify({ error: 'Could not read request body' }));
+      return;
+    }
+
+    // Valid items beyond the rate-limit allowance are rejected individually;
+    // the client retries those after Retry-After
+    const valid = items.filter(item => !item.error && isPlainObject(item.value)).length;
+    const limit = takeIngest(workspace, bearerToken, valid);
+    if (valid > 0 && limit.granted === 0) {
+      sendRateLimited(res, limit.retryAfterMs);
+      return;
     }
+
+    // Synchronous loop: the batch gets a contiguous `_seq` range
+    const events = [];
+    const changes = newChanges();
+    let allowance = limit.granted;
+    const results = items.map((item, index) => {
+      if (item.error) return { index, error: item.error };
+      if (!isPlainObject(item.value)) return { index, error: 'Event must be a JSON object' };
+      if (allowance-- <= 0) return { index, error: 'Rate limit exceeded' };
+      // One bad item is rejected on its own; the rest of the batch still goes out
+      try {
+        const event = ingestEvent(workspace, item.value, changes);
+        events.push(event);
+        return { index, seq: event._seq };
+      } catch (e) {
+        console.warn(`Batch item ${index} rejected: ${e.message}`);
+        return { index, error: 'Event could not be processed' };
+      }
+    });
+    if (events.length) publish(workspace, events, changes);
+
+    const headers = { 'Content-Type': 'application/json', ...CORS };
+    if (limit.granted < valid) headers['Retry-After'] = String(Math.max(1, Math.ceil(limit.retryAfterMs / 1000)));
+    res.writeHead(200, headers);
+    res.end(JSON.stringify({
+      ok: events.length === items.length,
+      accepted: events.length,
+      rejected: items.length - events.length,
+      results,
+    }));
+    return;
+  }
+
+  // --- POST /api/import ---
+  // An exported NDJSON file (or a JSON array) of recorded events. They keep
+  // their timestamps but get new `_seq`s; alerts and webhooks are skipped, and
+  // so is the ingest rate limit, since the upload is bounded by MAX_BATCH_BYTES.
+  if (pathname === '/api/import' && req.method === 'POST') {
+    const workspace = resolveWorkspace(extractBearerToken(req), 'write');
+    if (!workspace) {
+      sendJson(res, 401, { error: 'Invalid workspace token' });
+      return;
+    }
+
+    let items;
+    try {
+      items = parseBatch(await readBody(req, MAX_BATCH_BYTES));
+    } catch (e) {
+      if (e.status === 413) {
+        sendTooLarge(res, MAX_BATCH_BYTES);
+        return;
+      }
+      sendJson(res, 400, { error: 'Could not read request body' });
+      return;
+    }
+
+    const events = [];
+    const errors = [];
+    const sessions = new Set();
+    const changes = newChanges();
+    items.forEach((item, index) => {
+      if (item.error) return errors.push({ index, error: item.error });
+      if (!isPlainObject(item.value)) return errors.push({ index, error: 'Event must be a JSON object' });
+      // Server fields from the exporting workspace are dropped by ingestEvent; usage cost is recomputed
+      try {
+        const event = ingestEvent(workspace, item.value, changes, { imported: true });
+        events.push(event);
+        if (event.session_id) sessions.add(event.session_id);
+      } catch (e) {
+        console.warn(`Import item ${index} rejected: ${e.message}`);
+        errors.push({ index, error: 'Event could not be processed' });
+      }
+    });
+    if (events.length) publish(workspace, events, changes, { imported: true });
+
+    sendJson(res, 200, {
+      ok: errors.length === 0,
+      imported: events.length,
+      rejected: errors.length,
+      first_seq: events.length ? events[0]._seq : null,
+      last_seq: events.length ? events[events.length - 1]._seq : null,
+      sessions: [...sessions],
+      errors: errors.slice(0, 100),
+    });
     return;
   }
 
@@ -390,30 +1563,146 @@ const server = createServer(async (req, res) => {
       return;
     }
 
-    let result = workspace.events.toArray();
+    const filters = parseFilters(url.searchParams);
+    let result = workspace.events.toArray().filter(e => matchesFilters(e, filters));
 
-    const sessionId = url.searchParams.get('session_id');
-    const agentType = url.searchParams.get('agent_type');
-    const toolName = url.searchParams.get('tool_name');
-    const hookEventName = url.searchParams.get('hook_event_name');
     const since = url.searchParams.get('since_seq');
     const limit = url.searchParams.get('limit');
+    const fields = url.searchParams.get('fields');
+    const project = fields ? (e) => projectFields(e, fields.split(',').filter(Boolean)) : null;
 
-    if (sessionId) result = result.filter(e => e.session_id === sessionId);
-    if (agentType) result = result.filter(e => e.agent_type === agentType);
-    if (toolName) result = result.filter(e => e.tool_name === toolName);
-    if (hookEventName) result = result.filter(e => e.hook_event_name === hookEventName);
     if (since) {
       const sinceSeq = parseInt(since, 10);
       result = result.filter(e => (e._seq || 0) > sinceSeq);
     }
+
+    // `cursor` or `page` asks for a page object instead of the plain array
+    if (url.searchParams.has('cursor') || url.searchParams.has('page')) {
+      let page;
+      try {
+        page = pageEvents(result, {
+          cursor: url.searchParams.get('cursor'),
+          page: url.searchParams.get('page'),
+          limit,
+        });
+      } catch (e) {
+        sendJson(res, 400, { error: e.message });
+        return;
+      }
+      if (project) page.events = page.events.map(project);
+      sendJson(res, 200, page);
+      return;
+    }
+
     if (limit) {
       const n = parseInt(limit, 10);
       if (n > 0) result = result.slice(-n);
     }
+    sendJson(res, 200, project ? result.map(project) : result);
+    return;
+  }
+
+  // --- GET /api/stream ---
+  // Server-Sent Events: the /ws stream (events and control messages) over plain HTTP
+  if (pathname === '/api/stream' && req.method === 'GET') {
+    const token = url.searchParams.get('token');
+    const workspace = resolveWorkspace(token);
+    if (!workspace) {
+      sendJson(res, 401, { error: 'Invalid workspace token' });
+      return;
+    }
+
+    const since = resumeSeq(req, url.searchParams);
+    const filters = parseFilters(url.searchParams);
+    const client = new SseClient(res, CORS);
+    if (isWorkspaceToken(token)) client.tokenHash = hashToken(token);
+    client.lastSeq = workspace.seq;
+    if (Object.keys(filters).length) client.filters = filters;
+    workspace.wsClients.add(client);
+    res.on('close', () => workspace.wsClients.delete(client));
+    if (since !== null) sendBackfill(workspace, client, since);
+    return;
+  }
+
+  // --- GET /api/search ---
+  if (pathname === '/api/search' && req.method === 'GET') {
+    const workspace = resolveWorkspace(url.searchParams.get('token'));
+    if (!workspace) {
+      sendJson(res, 401, { error: 'Invalid workspace token' });
+      return;
+    }
+    const filters = parseFilters(url.searchParams);
+    const params = Object.fromEntries(['from', 'to', 'before_seq', 'limit'].map(k => [k, url.searchParams.get(k)]));
+    try {
+      const query = parseQuery(url.searchParams.get('q') || '');
+      sendJson(res, 200, searchEvents(workspace.search, query, { ...params, filter: e => matchesFilters(e, filters) }));
+    } catch (e) {
+      sendJson(res, 400, { error: e.message });
+    }
+    return;
+  }
+
+  // --- GET /api/export ---
+  if (pathname === '/api/export' && req.method === 'GET') {
+    const workspace = resolveWorkspace(url.searchParams.get('token'));
+    if (!workspace) {
+      sendJson(res, 401, { error: 'Invalid workspace token' });
+      return;
+    }
+    const format = url.searchParams.get('format') || 'ndjson';
+    if (!EXPORT_FORMATS[format]) {
+      sendJson(res, 400, { error: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+      return;
+    }
+    let scope;
+    try {
+      scope = parseScope(url.searchParams);
+    } catch (e) {
+      sendJson(res, 400, { error: e.message });
+      return;
+    }
+    const { type, ext } = EXPORT_FORMATS[format];
+    const name = `mohano-${(scope.session_id || 'export').replace(/[^\w-]/g, '_')}.${ext}`;
+    res.writeHead(200, { 'Content-Type': type, 'Content-Disposition': `attachment; filename="${name}"`, ...CORS });
+    // Snapshot of the retained window; rows are serialized as the socket drains
+    const events = workspace.events.toArray();
+    const calls = format === 'ndjson' ? [] : listToolCalls(workspace.toolCalls);
+    const lines = format === 'ndjson' ? ndjsonLines(events, scope)
+      : format === 'csv' ? csvLines(calls, scope)
+        : otlpLines(events, calls, scope);
+    await streamLines(res, lines);
+    return;
+  }
+
+  // --- GET /api/events/:seq/fields/:path ---
+  // Full value of a field that was truncated at ingest (or any field of a retained event)
+  const fieldMatch = pathname.match(/^\/api\/events\/(\d+)\/fields\/([^/]+)$/);
+  if (fieldMatch && req.method === 'GET') {
+    const workspace = resolveWorkspace(url.searchParams.get('token'));
+
+    if (!workspace) {
+      res.writeHead(401, { 'Content-Type': 'application/json', ...CORS });
+      res.end(JSON.stringify({ error: 'Invalid workspace token' }));
+      return;
+    }
 
-    res.writeHead(200, { 'Content-Type': 'application/json', ...CORS });
-    res.end(JSON.stringify(result));
+    const seq = parseInt(fieldMatch[1], 10);
+    const path = decodeParam(fieldMatch[2]);
+    if (path === null) {
+      sendJson(res, 400, { error: 'Malformed field path' });
+      return;
+    }
+    let value = store.getField(workspace.key, seq, path);
+    if (value === undefined) {
+      const event = workspace.events.toArray().find(e => e._seq === seq);
+      if (event) value = getPath(event, path);
+    }
+    if (value === undefined) {
+      res.writeHead(404, { 'Content-Type': 'application/json', ...CORS });
+      res.end(JSON.stringify({ error: 'Field not found (the event may have been dropped by retention)' }));
+      return;
+    }
+    sendJson(res, 200, { seq, path, value });
     return;
   }
 
@@ -428,16 +1717,150 @@ const server = createServer(async (req, res) => {
       return;
     }
 
-    res.writeHead(200, { 'Content-Type': 'application/json', ...CORS });
-    res.end(JSON.stringify([...workspace.agents.values()]));
+    sendJson(res, 200, [...workspace.agents.values()]);
+    return;
+  }
+
+  // --- GET /api/agents/tree ---
+  if (pathname === '/api/agents/tree' && req.method === 'GET') {
+    const workspace = resolveWorkspace(url.searchParams.get('token'));
+
+    if (!workspace) {
+      res.writeHead(401, { 'Content-Type': 'application/json', ...CORS });
+      res.end(JSON.stringify({ error: 'Invalid workspace token' }));
+      return;
+    }
+
+    const sessionId = url.searchParams.get('session_id');
+    if (!sessionId) {
+      sendJson(res, 200, listAgentTrees(workspace.agentTrees));
+      return;
+    }
+    const tree = workspace.agentTrees.get(sessionId);
+    if (!tree) {
+      res.writeHead(404, { 'Content-Type': 'application/json', ...CORS });
+      res.end(JSON.stringify({ error: 'Session not found' }));
+      return;
+    }
+    sendJson(res, 200, describeAgentTree(tree));
+    return;
+  }
+
+  // --- GET /api/sessions ---
+  if (pathname === '/api/sessions' && req.method === 'GET') {
+    const workspace = resolveWorkspace(url.searchParams.get('token'));
+
+    if (!workspace) {
+      res.writeHead(401, { 'Content-Type': 'application/json', ...CORS });
+      res.end(JSON.stringify({ error: 'Invalid workspace token' }));
+      return;
+    }
+
+    const status = url.searchParams.get('status');
+    const sessions = listSessions(workspace.sessions, { status });
+    for (const summary of sessions) summary.usage = sessionUsage(workspace.usage, summary.session_id);
+    sendJson(res, 200, sessions);
+    return;
+  }
+
+  // --- GET /api/sessions/:id ---
+  const sessionMatch = pathname.match(/^\/api\/sessions\/([^/]+)$/);
+  if (sessionMatch && req.method === 'GET') {
+    const workspace = resolveWorkspace(url.searchParams.get('token'));
+
+    if (!workspace) {
+      res.writeHead(401, { 'Content-Type': 'application/json', ...CORS });
+      res.end(JSON.stringify({ error: 'Invalid workspace token' }));
+      return;
+    }
+
+    const sessionId = decodeParam(sessionMatch[1]);
+    if (sessionId === null) {
+      sendJson(res, 400, { error: 'Malformed session id' });
+      return;
+    }
+    const session = workspace.sessions.get(sessionId);
+    if (!session) {
+      res.writeHead(404, { 'Content-Type': 'application/json', ...CORS });
+      res.end(JSON.stringify({ error: 'Session not found' }));
+      return;
+    }
+    sendJson(res, 200, {
+      ...summarizeSession(session, { detail: true }),
+      usage: sessionUsage(workspace.usage, session.id),
+    });
+    return;
+  }
+
+  // --- GET /api/tool-calls ---
+  if (pathname === '/api/tool-calls' && req.method === 'GET') {
+    const workspace = resolveWorkspace(url.searchParams.get('token'));
+
+    if (!workspace) {
+      res.writeHead(401, { 'Content-Type': 'application/json', ...CORS });
+      res.end(JSON.stringify({ error: 'Invalid workspace token' }));
+      return;
+    }
+
+    const filters = parseFilters(url.searchParams);
+    let result = listToolCalls(workspace.toolCalls).filter(c => matchesFilters(c, filters));
+
+    const agentId = url.searchParams.get('agent_id');
+    const status = url.searchParams.get('status');
+    const minDuration = url.searchParams.get('min_duration_ms');
+    const limit = url.searchParams.get('limit');
+
+    if (agentId) result = result.filter(c => c.agent_id === agentId);
+    if (status) result = result.filter(c => c.status === status);
+    if (minDuration) {
+      const ms = parseInt(minDuration, 10);
+      result = result.filter(c => c.duration_ms !== null && c.duration_ms >= ms);
+    }
+    if (limit) {
+      const n = parseInt(limit, 10);
+      if (n > 0) result = result.slice(-n);
+    }
+
+    sendJson(res, 200, result);
+    return;
+  }
+
+  // --- Webhooks: /api/webhooks ---
+  if (pathname === '/api/webhooks' || pathname.startsWith('/api/webhooks/')) {
+    await handleWebhooks(req, res, url);
+    return;
+  }
+
+  // --- Alerts: /api/alerts ---
+  if (pathname === '/api/alerts' || pathname.startsWith('/api/alerts/')) {
+    await handleAlerts(req, res, url);
     return;
   }
 
   // --- GET /api/tasks ---
   if (pathname === '/api/tasks' && req.method === 'GET') {
-    const tasks = scanTaskFiles();
-    res.writeHead(200, { 'Content-Type': 'application/json', ...CORS });
-    res.end(JSON.stringify(tasks));
+    const workspace = resolveWorkspace(url.searchParams.get('token'));
+    if (!workspace) {
+      res.writeHead(401, { 'Content-Type': 'application/json', ...CORS });
+      res.end(JSON.stringify({ error: 'Invalid workspace token' }));
+      return;
+    }
+    sendJson(res, 200, workspaceTasks(workspace));
+    return;
+  }
+
+  // --- GET /api/usage ---
+  if (pathname === '/api/usage' && req.method === 'GET') {
+    const workspace = resolveWorkspace(url.searchParams.get('token'));
+    if (!workspace) {
+      sendJson(res, 401, { error: 'Invalid workspace token' });
+      return;
+    }
+    sendJson(res, 200, {
+      budgets: { session_usd: SESSION_BUDGET_USD || null, agent_usd: AGENT_BUDGET_USD || null },
+      prices: PRICES,
+      sessions: listUsage(workspace.usage, { session_id: url.searchParams.get('session_id') || undefined }),
+    });
     return;
   }
 
@@ -459,6 +1882,12 @@ server.on('upgrade', (req, socket, head) => {
     return;
   }
 
+  if (shuttingDown) {
+    socket.write('HTTP/1.1 503 Service Unavailable\r\nRetry-After: 5\r\n\r\n');
+    socket.destroy();
+    return;
+  }
+
   const token = url.searchParams.get('token');
   const workspace = resolveWorkspace(token);
 
@@ -469,19 +1898,171 @@ server.on('upgrade', (req, socket, head) => {
     return;
   }
 
+  // Reconnecting clients pass the last `_seq` they saw to get a backfill
+  const since = url.searchParams.get('since_seq');
+  // Optional initial subscription, same params as GET /api/events
+  const filters = parseFilters(url.searchParams);
+
+  // Playback of one recorded session instead of the live stream
+  const replaySession = url.searchParams.get('replay_session');
+  if (replaySession) {
+    wss.handleUpgrade(req, socket, head, (ws) => startReplay(workspace, ws, token, replaySession));
+    return;
+  }
+
   wss.handleUpgrade(req, socket, head, (ws) => {
+    if (isWorkspaceToken(token)) ws.tokenHash = hashToken(token); // closed if the token is revoked
+    ws.lastSeq = workspace.seq;
+    if (Object.keys(filters).length) ws.filters = filters;
     workspace.wsClients.add(ws);
     ws.on('close', () => workspace.wsClients.delete(ws));
     ws.on('error', () => workspace.wsClients.delete(ws));
+    ws.on('message', (data) => handleClientMessage(workspace, ws, data));
+    if (since !== null) sendBackfill(workspace, ws, parseInt(since, 10) || 0);
   });
 });
 
+// --- WebSocket resume ---
+// Control messages carry a `_type` field so clients can tell them apart from events.
+
+function sendBackfill(workspace, ws, sinceSeq) {
+  const events = workspace.events.toArray();
+  const missed = events.filter(e => (e._seq || 0) > sinceSeq && (!ws.filters || matchesFilters(e, ws.filters)));
+  const oldestSeq = events.length ? events[0]._seq : workspace.seq + 1;
+  // Transcript entries are retained apart, so an older one can outlive the hook events after it
+  const lostUpTo = Math.max(oldestSeq - 1, workspace.events.droppedSeq);
+  const info = {
+    _type: 'resume',
+    since_seq: sinceSeq,
+    latest_seq: workspace.seq,
+    count: missed.length,
+    // Client is ahead of the server: the workspace was reset or lost on restart
+    reset: sinceSeq > workspace.seq,
+    // Some missed events were already dropped by retention (0 = fresh client, not a gap)
+    gap: sinceSeq > 0 && sinceSeq < workspace.seq && lostUpTo > sinceSeq,
+    oldest_seq: oldestSeq,
+  };
+  if (info.reset) {
+    missed.splice(0, missed.length, ...events.filter(e => !ws.filters || matchesFilters(e, ws.filters)));
+    info.count = missed.length;
+  }
+  if (info.gap) info.lost = lostUpTo - sinceSeq - events.filter(e => e._seq > sinceSeq && e._seq <= lostUpTo).length;
+  ws.lastSeq = workspace.seq;
+  try {
+    ws.send(JSON.stringify(info));
+    if (missed.length) ws.send(JSON.stringify(missed));
+  } catch {
+    workspace.wsClients.delete(ws);
+  }
+}
+
+function handleClientMessage(workspace, ws, data) {
+  let msg;
+  try {
+    msg = JSON.parse(data.toString());
+  } catch {
+    return; // ignore non-JSON frames
+  }
+  if (msg._type === 'resume') {
+    sendBackfill(workspace, ws, parseInt(msg.since_seq, 10) || 0);
+  } else if (msg._type === 'subscribe') {
+    // Replace the client's filter in place; an empty filter means everything
+    const filters = parseFilters(msg.filters || {});
+    ws.filters = Object.keys(filters).length ? filters : null;
+    try {
+      ws.send(JSON.stringify({ _type: 'subscribed', filters: serializeFilters(filters) }));
+    } catch {
+      workspace.wsClients.delete(ws);
+    }
+    if (msg.since_seq !== undefined) sendBackfill(workspace, ws, parseInt(msg.since_seq, 10) || 0);
+  }
+}
+
+// --- WebSocket replay ---
+// The session's retained events, snapshotted at connect and driven by the
+// client's { _type: 'replay', action } messages (see replay.mjs).
+
+function startReplay(workspace, ws, token, sessionId) {
+  if (isWorkspaceToken(token)) ws.tokenHash = hashToken(token);
+  const replay = new Replay(sessionId, workspace.events.toArray(), (payload) => {
+    if (ws.readyState !== ws.OPEN) return;
+    try {
+      ws.send(JSON.stringify(payload));
+    } catch { /* closed mid-send */ }
+  });
+  workspace.replayClients.add(ws);
+  const stop = () => {
+    replay.close();
+    workspace.replayClients.delete(ws);
+  };
+  ws.on('close', stop);
+  ws.on('error', stop);
+  ws.on('message', (data) => {
+    let msg;
+    try {
+      msg = JSON.parse(data.toString());
+    } catch {
+      return; // ignore non-JSON frames
+    }
+    if (msg._type === 'replay') replay.control(msg);
+  });
+  replay.sendState();
+}
+
+// --- Health and shutdown ---
+
+let shuttingDown = false;
+
+function describeHealth() {
+  const list = allWorkspaces();
+  const { kind, ok, error } = store.status(); // not the data dir: these endpoints are public
+  return {
+    status: shuttingDown ? 'shutting_down' : ok ? 'ok' : 'degraded',
+    uptime_s: Math.round((Date.now() - STARTED_AT) / 1000),
+    workspaces: workspaces.size,
+    hibernated: list.filter(w => w.hibernated).length,
+    clients: list.reduce((n, w) => n + w.wsClients.size + w.replayClients.size, 0),
+    store: { kind, ok, error },
+  };
+}
+
+// SIGTERM / SIGINT: refuse new ingest, tell stream clients the server is
+// restarting, let in-flight requests finish, then flush the store and exit
+async function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  console.log(`${signal} received, shutting down`);
+  const closed = new Promise(resolve => server.close(resolve));
+  for (const workspace of allWorkspaces()) {
+    for (const client of [...workspace.wsClients, ...workspace.replayClients]) {
+      try { client.close(SERVER_RESTART_CODE, 'Server restarting'); } catch { /* ignore */ }
+    }
+  }
+  const timer = setTimeout(() => server.closeAllConnections(), SHUTDOWN_TIMEOUT_MS);
+  await closed;
+  clearTimeout(timer);
+  taskWatcher.close();
+  await store.flush();
+  console.log('Shutdown complete');
+  process.exit(0);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
 // --- Start ---
 
+restoreWorkspaces();
+taskWatcher.start();
+
 server.listen(PORT, '0.0.0.0', () => {
   console.log(`Mohano server running at http://0.0.0.0:${PORT}`);
   console.log(`WebSocket endpoint: ws://0.0.0.0:${PORT}/ws`);
   console.log(`Serving frontend from: ${FRONTEND_DIR}`);
   console.log(`API key: ${API_KEY ? 'enabled' : 'disabled (open access)'}`);
+  console.log(`Redaction: ${redactor ? 'enabled' : 'disabled'}`);
+  console.log(`Webhooks: ${WEBHOOKS_ENABLED ? 'enabled' : 'disabled'}`);
+  console.log(`Task files: ${TASKS_DIR}`);
+  console.log(`Storage: ${STORAGE}${STORAGE === 'memory' ? '' : ` (${DATA_DIR}, ${workspaces.size} workspaces restored)`}`);
   console.log(`Multi-tenant: workspace isolation enabled`);
 });
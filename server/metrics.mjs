@@ -0,0 +1,79 @@
+// Mohano - Metrics
+// Counters kept in process and rendered in the Prometheus text exposition format
+
+const counters = new Map(); // name -> { help, series: Map(labelKey -> { labels, value }) }
+
+// Label values taken from client payloads (tool and hook event names) are
+// capped per scope, so a token holder cannot create unbounded series
+const MAX_LABEL_VALUES = 100;
+const OTHER = 'other';
+const labelValues = new Map(); // scope (workspace key) -> Map(label -> Set(value))
+
+export function defineCounter(name, help) {
+  if (!counters.has(name)) counters.set(name, { help, series: new Map() });
+}
+
+export function inc(name, labels = {}, n = 1) {
+  const counter = counters.get(name);
+  if (!counter) throw new Error(`Unknown metric: ${name}`);
+  const key = JSON.stringify(labels);
+  const entry = counter.series.get(key);
+  if (entry) {
+    entry.value += n;
+  } else {
+    counter.series.set(key, { labels, value: n });
+  }
+}
+
+// `value` as a label value, or 'other' once the scope has MAX_LABEL_VALUES
+// distinct values for that label
+export function boundedLabel(scope, label, value) {
+  value = String(value);
+  let labels = labelValues.get(scope);
+  if (!labels) {
+    labels = new Map();
+    labelValues.set(scope, labels);
+  }
+  let seen = labels.get(label);
+  if (!seen) {
+    seen = new Set();
+    labels.set(label, seen);
+  }
+  if (seen.has(value)) return value;
+  if (seen.size >= MAX_LABEL_VALUES) return OTHER;
+  seen.add(value);
+  return value;
+}
+
+// Drop every series carrying `label=value` (e.g. a deleted workspace)
+export function dropSeries(label, value) {
+  labelValues.delete(value);
+  for (const counter of counters.values()) {
+    for (const [key, entry] of counter.series) {
+      if (entry.labels[label] === value) counter.series.delete(key);
+    }
+  }
+}
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatSample(name, labels, value) {
+  const pairs = Object.entries(labels).map(([k, v]) => `${k}="${escapeLabel(v)}"`);
+  return `${name}${pairs.length ? `{${pairs.join(',')}}` : ''} ${value}`;
+}
+
+// `gauges` are sampled by the caller at scrape time: [{ name, help, samples: [{ labels, value }] }]
+export function renderMetrics(gauges = []) {
+  const lines = [];
+  for (const [name, { help, series }] of counters) {
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} counter`);
+    for (const { labels, value } of series.values()) lines.push(formatSample(name, labels, value));
+  }
+  for (const { name, help, samples } of gauges) {
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} gauge`);
+    for (const { labels = {}, value } of samples) lines.push(formatSample(name, labels, value));
+  }
+  return lines.join('\n') + '\n';
+}
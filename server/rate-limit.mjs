@@ -0,0 +1,48 @@
+// Mohano - Ingest rate limiting
+// Token buckets measured in events: `rate` per second refill, up to `burst` saved up
+
+export class TokenBucket {
+  constructor(name, rate, burst) {
+    this.name = name; // reported as the `limit` label when this bucket rejects
+    this.rate = rate;
+    this.burst = burst;
+    this.tokens = burst;
+    this.updatedAt = Date.now();
+  }
+
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.burst, this.tokens + ((now - this.updatedAt) / 1000) * this.rate);
+    this.updatedAt = now;
+  }
+
+  // Idle long enough to be back at full capacity (safe to forget)
+  get full() {
+    this.refill();
+    return this.tokens >= this.burst;
+  }
+}
+
+// Take up to `n` events from all `buckets` at once; the emptiest bucket decides.
+// Returns { granted, retryAfterMs, limit }; the last two are only set when
+// fewer than `n` were granted.
+export function takeTokens(buckets, n) {
+  let granted = n;
+  for (const bucket of buckets) {
+    bucket.refill();
+    granted = Math.min(granted, Math.max(0, Math.floor(bucket.tokens)));
+  }
+  for (const bucket of buckets) bucket.tokens -= granted;
+  if (granted === n) return { granted, retryAfterMs: 0, limit: null };
+
+  let retryAfterMs = 0;
+  let limit = null;
+  for (const bucket of buckets) {
+    const wait = Math.ceil(((1 - bucket.tokens) / bucket.rate) * 1000);
+    if (wait > retryAfterMs) {
+      retryAfterMs = wait;
+      limit = bucket.name;
+    }
+  }
+  return { granted, retryAfterMs, limit };
+}
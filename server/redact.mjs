@@ -0,0 +1,150 @@
+// Mohano - Secret redaction
+// Scrubs credentials out of hook payloads before they are stored or broadcast
+
+import { readFileSync } from 'node:fs';
+
+const REDACTED = '[REDACTED]';
+
+// Identifiers and server fields that are never scanned (and are needed intact)
+const SKIP_KEYS = new Set([
+  'session_id', 'agent_id', 'tool_use_id', 'hook_event_name', 'hook_type',
+  'tool_name', 'timestamp', 'transcript_path', 'cwd', 'agent_transcript_path',
+  'tool_uses', 'message_id', 'uuid',
+]);
+
+// --- Built-in detectors ---
+// Each replaces only the secret part of a match, keeping labels like `Bearer `
+// or `API_KEY=` so the redacted text stays readable.
+
+const DETECTORS = {
+  private_key: {
+    pattern: /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?(?:-----END [A-Z ]*PRIVATE KEY-----|$)/g,
+    replace: () => '[REDACTED:private_key]',
+  },
+  aws_access_key: {
+    pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g,
+    replace: () => '[REDACTED:aws_access_key]',
+  },
+  aws_secret_key: {
+    pattern: /(aws_secret_access_key["']?\s*[=:]\s*["']?)[A-Za-z0-9/+=]{40}/gi,
+    replace: (m, prefix) => `${prefix}[REDACTED:aws_secret_key]`,
+  },
+  bearer: {
+    pattern: /\b(Bearer\s+)[A-Za-z0-9\-._~+/]{8,}=*/gi,
+    replace: (m, prefix) => `${prefix}[REDACTED:bearer]`,
+  },
+  api_token: {
+    // GitHub, Slack, OpenAI/Anthropic-style keys and Mohano's own workspace tokens
+    pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{30,}|github_pat_[A-Za-z0-9_]{30,}|xox[abprs]-[A-Za-z0-9-]{10,}|sk-(?:ant-)?[A-Za-z0-9_-]{20,}|mohr?_[A-Za-z0-9_-]{20,})/g,
+    replace: () => '[REDACTED:api_token]',
+  },
+  env_assignment: {
+    // KEY=value lines from .env files and shell exports where the name looks secret
+    pattern: /\b([A-Z0-9_]*(?:SECRET|TOKEN|PASSWORD|PASSWD|API_?KEY|ACCESS_KEY|PRIVATE_KEY|CREDENTIALS?)[A-Z0-9_]*\s*[=:]\s*)(["']?)([^\s"'#]{4,})\2/g,
+    replace: (m, prefix, quote) => `${prefix}${quote}[REDACTED:env]${quote}`,
+  },
+  high_entropy: {
+    pattern: /[A-Za-z0-9+/_-]{24,}={0,2}/g,
+    replace: (m) => (looksRandom(m) ? '[REDACTED:high_entropy]' : m),
+  },
+};
+
+function shannonEntropy(str) {
+  const freq = new Map();
+  for (const ch of str) freq.set(ch, (freq.get(ch) || 0) + 1);
+  let bits = 0;
+  for (const n of freq.values()) {
+    const p = n / str.length;
+    bits -= p * Math.log2(p);
+  }
+  return bits;
+}
+
+// Mixed-case alphanumerics with high entropy. Hex ids (git SHAs, UUIDs) top
+// out at 4 bits/char and paths are mostly lowercase, so neither trips this.
+function looksRandom(str) {
+  if (str.includes('/') && /^\/|\/[a-z]/.test(str)) return false;
+  if (!/[a-z]/.test(str) || !/[A-Z]/.test(str) || !/[0-9]/.test(str)) return false;
+  return shannonEntropy(str) >= 4.2;
+}
+
+// --- Path rules ---
+// Dot-separated paths into the event; `*` matches any single key or array index.
+
+function compilePath(path) {
+  return path.split('.');
+}
+
+function matchesPath(pattern, path) {
+  if (pattern.length !== path.length) return false;
+  return pattern.every((seg, i) => seg === '*' || seg === String(path[i]));
+}
+
+// --- Redactor ---
+
+export function loadRedactionConfig(path) {
+  if (!path) return {};
+  return JSON.parse(readFileSync(path, 'utf-8'));
+}
+
+// Config: { enabled, detectors: [names] (default all), rules: [{ name, pattern, flags }], paths: ['a.*.b'] }
+export function createRedactor(config = {}) {
+  if (config.enabled === false) return null;
+
+  const names = config.detectors || Object.keys(DETECTORS);
+  const detectors = names.map((name) => {
+    if (!DETECTORS[name]) throw new Error(`Unknown redaction detector: ${name}`);
+    return { kind: name, ...DETECTORS[name] };
+  });
+  for (const [i, rule] of (config.rules || []).entries()) {
+    const kind = rule.name || `rule_${i + 1}`;
+    const flags = rule.flags ? (rule.flags.includes('g') ? rule.flags : rule.flags + 'g') : 'g';
+    detectors.push({ kind, pattern: new RegExp(rule.pattern, flags), replace: () => `[REDACTED:${kind}]` });
+  }
+  const paths = (config.paths || []).map(compilePath);
+
+  function scrubString(str, kinds) {
+    let out = str;
+    for (const d of detectors) {
+      d.pattern.lastIndex = 0;
+      const next = out.replace(d.pattern, d.replace);
+      if (next !== out) {
+        kinds.add(d.kind);
+        out = next;
+      }
+    }
+    return out;
+  }
+
+  function walk(value, path, found) {
+    if (path.length && paths.some(p => matchesPath(p, path))) {
+      found.push({ path: path.join('.'), kinds: ['path'] });
+      return REDACTED;
+    }
+    if (typeof value === 'string') {
+      const kinds = new Set();
+      const out = scrubString(value, kinds);
+      if (kinds.size) found.push({ path: path.join('.'), kinds: [...kinds] });
+      return out;
+    }
+    if (Array.isArray(value)) {
+      return value.map((item, i) => walk(item, [...path, i], found));
+    }
+    if (value && typeof value === 'object') {
+      const out = {};
+      for (const [key, item] of Object.entries(value)) {
+        const skip = path.length === 0 && (SKIP_KEYS.has(key) || key.startsWith('_'));
+        out[key] = skip ? item : walk(item, [...path, key], found);
+      }
+      return out;
+    }
+    return value;
+  }
+
+  // Returns the scrubbed copy of `event` and the list of redacted fields
+  return function redact(event) {
+    const found = [];
+    const out = walk(event, [], found);
+    return { event: found.length ? out : event, redactions: found };
+  };
+}
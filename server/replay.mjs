@@ -0,0 +1,133 @@
+// Mohano - Session replay
+// Plays one session's retained events back over a WebSocket in real time or faster, with pause, seek and step
+
+import { createToolCalls, recordToolEvent, listToolCalls } from './tool-calls.mjs';
+
+const MAX_GAP_MS = 5000; // idle stretches between events are cut to this (before the speed-up)
+const MIN_SPEED = 0.25;
+const MAX_SPEED = 100;
+
+// Events play in timestamp order (transcript entries are uploaded after the
+// activity they describe) and are numbered 1..n in their own `_seq` space, so
+// they never collide with the workspace's live counter; `_source_seq` keeps
+// the original (e.g. for /api/events/:seq/fields). Messages to the client:
+//   { _type: 'replay', state }          after every control message and at the end
+//   { _type: 'replay', reset, state }   before a seek re-sends events 1..position
+//   events and { _type: 'tool_calls' }  exactly as on the live stream
+// Control messages from the client: { _type: 'replay', action: 'play' | 'pause'
+// | 'step' | 'seek' | 'speed', position?, speed? }.
+export class Replay {
+  constructor(sessionId, events, send) {
+    this.sessionId = sessionId;
+    this.events = events
+      .filter(e => e.session_id === sessionId)
+      .sort((a, b) => (Date.parse(a.timestamp) || 0) - (Date.parse(b.timestamp) || 0))
+      .map((e, i) => ({ ...e, _seq: i + 1, _source_seq: e._seq, _replay: true }));
+    this.send = send;
+    this.position = 0; // events sent so far
+    this.playing = false;
+    this.speed = 1;
+    this.timer = null;
+    this.toolCalls = createToolCalls(this.events.length || 1);
+  }
+
+  get total() {
+    return this.events.length;
+  }
+
+  state() {
+    const last = this.events[this.position - 1];
+    return {
+      session_id: this.sessionId,
+      position: this.position,
+      total: this.total,
+      playing: this.playing,
+      speed: this.speed,
+      time: last ? last.timestamp : null,
+      started_at: this.total ? this.events[0].timestamp : null,
+      ended_at: this.total ? this.events[this.total - 1].timestamp : null,
+    };
+  }
+
+  sendState(extra = {}) {
+    this.send({ _type: 'replay', ...extra, state: this.state() });
+  }
+
+  control(msg) {
+    switch (msg.action) {
+      case 'play': this.play(); break;
+      case 'pause': this.pause(); break;
+      case 'step': this.step(); break;
+      case 'seek': this.seek(msg.position); break;
+      case 'speed': this.setSpeed(msg.speed); break;
+      default: return;
+    }
+    this.sendState();
+  }
+
+  play() {
+    if (this.position >= this.total) this.seek(0); // play again from the start
+    this.playing = true;
+    this.schedule();
+  }
+
+  pause() {
+    this.playing = false;
+    clearTimeout(this.timer);
+  }
+
+  step() {
+    this.pause();
+    if (this.position < this.total) this.emit();
+  }
+
+  // Jump to `position` (events sent): the client starts over from the events before it
+  seek(position) {
+    const target = Math.max(0, Math.min(this.total, parseInt(position, 10) || 0));
+    clearTimeout(this.timer);
+    this.position = target;
+    this.toolCalls = createToolCalls(this.total || 1);
+    const events = this.events.slice(0, target);
+    for (const event of events) recordToolEvent(this.toolCalls, event);
+    this.sendState({ reset: true });
+    if (events.length) this.send(events);
+    const calls = listToolCalls(this.toolCalls).filter(c => c.status !== 'running');
+    if (calls.length) this.send({ _type: 'tool_calls', calls });
+    if (this.playing) this.schedule();
+  }
+
+  setSpeed(speed) {
+    const n = Number(speed);
+    if (!Number.isFinite(n)) return;
+    this.speed = Math.max(MIN_SPEED, Math.min(MAX_SPEED, n));
+    if (this.playing) this.schedule();
+  }
+
+  emit() {
+    const event = this.events[this.position++];
+    this.send(event);
+    const call = recordToolEvent(this.toolCalls, event);
+    if (call && call.status !== 'running') this.send({ _type: 'tool_calls', calls: [call] });
+  }
+
+  schedule() {
+    clearTimeout(this.timer);
+    if (!this.playing) return;
+    if (this.position >= this.total) {
+      this.playing = false;
+      this.sendState();
+      return;
+    }
+    const prev = this.events[this.position - 1];
+    const gap = prev ? Date.parse(this.events[this.position].timestamp) - Date.parse(prev.timestamp) : 0;
+    const delay = Math.min(MAX_GAP_MS, Math.max(0, gap || 0)) / this.speed;
+    this.timer = setTimeout(() => {
+      this.emit();
+      this.schedule();
+    }, delay);
+  }
+
+  close() {
+    this.pause();
+  }
+}
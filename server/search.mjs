@@ -0,0 +1,243 @@
+// Mohano - Event search
+// Inverted index over each workspace's retained events, maintained on ingest, behind /api/search
+
+const MAX_TEXT_CHARS = 64 * 1024; // indexed text per event; the rest is not searchable
+const MAX_LIMIT = 500;
+const DEFAULT_LIMIT = 50;
+
+// Field predicates accepted in a query as `name:value`
+const PREDICATES = {
+  tool: (event, values) => values.has(String(event.tool_name || '').toLowerCase()),
+  type: (event, values) => values.has(hookType(event).toLowerCase()),
+  session: (event, values) => [...values].some(v => String(event.session_id || '').toLowerCase().startsWith(v)),
+  agent: (event, values) => [event.agent_id, event.agent_type, event.agent_name, event.teammate_name]
+    .some(a => a && values.has(String(a).toLowerCase())),
+  role: (event, values) => values.has(String(event.role || '').toLowerCase()),
+  error: (event, values) => values.has(String(isError(event))),
+  file: (event, values, globs) => {
+    const input = event.tool_input || {};
+    const path = input.file_path || input.notebook_path || input.path;
+    return typeof path === 'string' && globs.some(re => re.test(path));
+  },
+};
+PREDICATES.event = PREDICATES.type;
+
+// Normalized at ingest, see frontend/normalize.cjs
+function hookType(event) {
+  return event._canonical.type;
+}
+
+function isError(event) {
+  const type = hookType(event);
+  if (type === 'PostToolUseFailure') return true;
+  return type === 'PostToolUse' && Boolean(event.error || event.status === 'error' || event.success === false);
+}
+
+// --- Text ---
+
+// Every string value of the event except server fields (`_seq`, `_redacted`, ...)
+function eventText(event) {
+  const parts = [];
+  let size = 0;
+  (function walk(value, top) {
+    if (size >= MAX_TEXT_CHARS) return;
+    if (typeof value === 'string') {
+      parts.push(value);
+      size += value.length;
+    } else if (Array.isArray(value)) {
+      for (const item of value) walk(item, false);
+    } else if (value && typeof value === 'object') {
+      for (const [key, item] of Object.entries(value)) {
+        if (top && key.startsWith('_')) continue;
+        walk(item, false);
+      }
+    }
+  })(event, true);
+  return parts.join('\n').slice(0, MAX_TEXT_CHARS).toLowerCase();
+}
+
+function tokenize(text) {
+  return text.split(/[^\p{L}\p{N}_]+/u).filter(t => t && t.length <= 64);
+}
+
+// --- Index ---
+
+export function createSearchIndex(capacity) {
+  return {
+    capacity,
+    docs: new Map(),     // seq -> { event, terms }, oldest first
+    postings: new Map(), // term -> ascending seqs
+    bytes: 0,            // rough size of the postings: term characters plus 8 per seq
+  };
+}
+
+export function clearSearchIndex(index) {
+  index.docs.clear();
+  index.postings.clear();
+  index.bytes = 0;
+}
+
+export function indexEvent(index, event) {
+  if (typeof event._seq !== 'number') return;
+  const terms = [...new Set(tokenize(eventText(event)))];
+  index.docs.set(event._seq, { event, terms });
+  for (const term of terms) {
+    const list = index.postings.get(term);
+    if (list) {
+      list.push(event._seq);
+      index.bytes += 8;
+    } else {
+      index.postings.set(term, [event._seq]);
+      index.bytes += term.length + 8;
+    }
+  }
+  while (index.docs.size > index.capacity) {
+    const [seq, doc] = index.docs.entries().next().value;
+    dropDoc(index, seq, doc);
+  }
+}
+
+// Forget an event that has left the retained window
+export function removeEvent(index, event) {
+  const doc = index.docs.get(event._seq);
+  if (doc) dropDoc(index, event._seq, doc);
+}
+
+function dropDoc(index, seq, doc) {
+  index.docs.delete(seq);
+  for (const term of doc.terms) {
+    const list = index.postings.get(term);
+    // Events mostly leave oldest first, so they sit at the head of the list
+    const i = list[0] === seq ? 0 : list.indexOf(seq);
+    if (i !== -1) {
+      list.splice(i, 1);
+      index.bytes -= 8;
+    }
+    if (list.length === 0) {
+      index.postings.delete(term);
+      index.bytes -= term.length;
+    }
+  }
+}
+
+function contains(list, seq) {
+  let lo = 0;
+  let hi = list.length - 1;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (list[mid] === seq) return true;
+    if (list[mid] < seq) lo = mid + 1;
+    else hi = mid - 1;
+  }
+  return false;
+}
+
+// Seqs of the docs containing `word`; a trailing `*` matches every term with that prefix
+function lookup(index, word) {
+  if (!word.endsWith('*')) return index.postings.get(word) || [];
+  const prefix = word.slice(0, -1);
+  const seqs = new Set();
+  for (const [term, list] of index.postings) {
+    if (term.startsWith(prefix)) for (const seq of list) seqs.add(seq);
+  }
+  return [...seqs].sort((a, b) => a - b);
+}
+
+// --- Queries ---
+
+function globToRegExp(glob) {
+  const body = glob.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+  // Relative patterns match the end of the path: `*.ts`, `src/*.mjs`
+  return new RegExp(glob.startsWith('/') ? `^${body}$` : `(^|/)${body}$`, 'i');
+}
+
+// Query syntax: words (all must match, `word*` for a prefix), "exact phrases",
+// -excluded words and `field:value` predicates (comma-separated values match any).
+export function parseQuery(q = '') {
+  const query = { words: [], phrases: [], excluded: [], predicates: [] };
+  for (const [, negate, quoted, raw] of String(q).matchAll(/(-?)(?:"([^"]*)"|(\S+))/g)) {
+    if (quoted !== undefined) {
+      const phrase = quoted.toLowerCase().trim();
+      if (!phrase) continue;
+      if (negate) {
+        query.excluded.push(...tokenize(phrase));
+      } else {
+        query.phrases.push(phrase);
+        query.words.push(...tokenize(phrase));
+      }
+      continue;
+    }
+    // Unknown names are searched as text (`https://...`)
+    const predicate = raw.match(/^([a-z]+):(.+)$/i);
+    const name = predicate && predicate[1].toLowerCase();
+    if (predicate && !negate && PREDICATES[name]) {
+      const values = predicate[2].split(',').filter(Boolean);
+      query.predicates.push({
+        test: PREDICATES[name],
+        values: new Set(values.map(v => v.toLowerCase())),
+        globs: name === 'file' ? values.map(globToRegExp) : null,
+      });
+      continue;
+    }
+    const prefix = raw.endsWith('*');
+    const words = tokenize(raw.toLowerCase());
+    if (prefix && words.length) words[words.length - 1] += '*';
+    (negate ? query.excluded : query.words).push(...words);
+  }
+  return query;
+}
+
+// ISO timestamp or epoch milliseconds (also used by /api/export); null when empty
+export function parseTime(value, name) {
+  if (value === null || value === undefined || value === '') return null;
+  const t = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  if (isNaN(t)) throw new Error(`${name} must be an ISO timestamp or epoch milliseconds`);
+  return t;
+}
+
+// Newest first. Options: from/to (ISO or epoch ms), before_seq (the cursor
+// returned as next_before_seq), limit, filter (extra test on the event).
+// Returns { results, total, next_before_seq }; throws with a user-facing message
+// on a bad time.
+export function searchEvents(index, query, options = {}) {
+  const from = parseTime(options.from, 'from');
+  const to = parseTime(options.to, 'to');
+  const beforeSeq = options.before_seq ? Number(options.before_seq) : Infinity;
+  const limit = Math.min(MAX_LIMIT, Math.max(1, parseInt(options.limit, 10) || DEFAULT_LIMIT));
+
+  // Candidates: the shortest posting list, checked against the others
+  const lists = query.words.map(word => lookup(index, word)).sort((a, b) => a.length - b.length);
+  const candidates = lists.length ? lists[0] : [...index.docs.keys()];
+  const others = lists.slice(1);
+  const excluded = query.excluded.map(word => lookup(index, word));
+
+  const results = [];
+  let total = 0;
+  let lastSeq = null;
+  for (let i = candidates.length - 1; i >= 0; i--) {
+    const seq = candidates[i];
+    if (seq >= beforeSeq) continue;
+    if (!others.every(list => contains(list, seq))) continue;
+    if (excluded.some(list => contains(list, seq))) continue;
+    const doc = index.docs.get(seq);
+    if (!doc) continue;
+    const { event } = doc;
+    if (!query.predicates.every(p => p.test(event, p.values, p.globs))) continue;
+    if (options.filter && !options.filter(event)) continue;
+    if (from !== null || to !== null) {
+      const t = Date.parse(event.timestamp);
+      if (from !== null && !(t >= from)) continue;
+      if (to !== null && !(t <= to)) continue;
+    }
+    if (query.phrases.length) {
+      const text = eventText(event);
+      if (!query.phrases.every(phrase => text.includes(phrase))) continue;
+    }
+    total++;
+    if (results.length < limit) {
+      results.push(event);
+      lastSeq = seq;
+    }
+  }
+  return { results, total, next_before_seq: total > results.length ? lastSeq : null };
+}
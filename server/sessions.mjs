@@ -0,0 +1,122 @@
+// Mohano - Session model
+// Per-workspace session summaries built from SessionStart / SessionEnd / Stop and tool events
+
+const MAX_SESSIONS = 500; // per workspace; least recently active are dropped first
+
+// Normalized at ingest, see frontend/normalize.cjs
+function hookType(event) {
+  return event._canonical.type;
+}
+
+function eventTime(event) {
+  const t = Date.parse(event.timestamp);
+  return isNaN(t) ? Date.now() : t;
+}
+
+function agentKey(event) {
+  return event.agent_id || event.agent_name || event.teammate_name || 'main';
+}
+
+function isToolFailure(event) {
+  const type = hookType(event);
+  if (type === 'PostToolUseFailure') return true;
+  return type === 'PostToolUse' && Boolean(event.error || event.status === 'error' || event.success === false);
+}
+
+function createSession(id, event) {
+  return {
+    id,
+    project: '',
+    source: '',
+    status: 'active', // active | stopped | ended
+    startedAt: eventTime(event),
+    endedAt: null,
+    lastEventAt: eventTime(event),
+    endReason: '',
+    agents: new Set(),
+    eventCount: 0,
+    toolCalls: 0,
+    errors: 0,
+  };
+}
+
+// Fold one event into the workspace's session map. Returns the session, or
+// null for events that carry no session_id.
+export function updateSession(sessions, event) {
+  const id = event._canonical.session_id; // always a string, like the other indexes
+  if (!id) return null;
+
+  let session = sessions.get(id);
+  if (!session) {
+    session = createSession(id, event);
+    sessions.set(id, session);
+    if (sessions.size > MAX_SESSIONS) evictOldest(sessions);
+  }
+
+  const type = hookType(event);
+  const time = eventTime(event);
+  session.eventCount++;
+  session.lastEventAt = Math.max(session.lastEventAt, time);
+  if (!session.project && typeof event.cwd === 'string') session.project = event.cwd;
+  session.agents.add(agentKey(event));
+
+  if (type === 'SessionStart') {
+    session.startedAt = time;
+    session.source = event.source || '';
+    session.status = 'active';
+    session.endedAt = null;
+  } else if (type === 'SessionEnd') {
+    session.status = 'ended';
+    session.endedAt = time;
+    session.endReason = event.reason || '';
+  } else if (type === 'Stop') {
+    // Main agent finished its turn; the session is still open for the next prompt
+    if (session.status !== 'ended') session.status = 'stopped';
+  } else if (session.status === 'stopped') {
+    session.status = 'active';
+  }
+
+  if (type === 'SubagentStart' && event.agent_id) session.agents.add(event.agent_id);
+  if (type === 'PreToolUse') session.toolCalls++;
+  if (isToolFailure(event)) session.errors++;
+
+  return session;
+}
+
+function evictOldest(sessions) {
+  let oldest = null;
+  for (const session of sessions.values()) {
+    if (!oldest || session.lastEventAt < oldest.lastEventAt) oldest = session;
+  }
+  if (oldest) sessions.delete(oldest.id);
+}
+
+// JSON shape served by /api/sessions
+export function summarizeSession(session, { detail = false } = {}) {
+  const end = session.endedAt || session.lastEventAt;
+  const summary = {
+    session_id: session.id,
+    project: session.project,
+    project_name: session.project ? session.project.split('/').filter(Boolean).pop() || session.project : '',
+    status: session.status,
+    source: session.source || undefined,
+    started_at: new Date(session.startedAt).toISOString(),
+    ended_at: session.endedAt ? new Date(session.endedAt).toISOString() : null,
+    last_event_at: new Date(session.lastEventAt).toISOString(),
+    duration_ms: Math.max(0, end - session.startedAt),
+    end_reason: session.endReason || undefined,
+    agent_count: session.agents.size,
+    event_count: session.eventCount,
+    tool_call_count: session.toolCalls,
+    error_count: session.errors,
+  };
+  if (detail) summary.agents = [...session.agents];
+  return summary;
+}
+
+export function listSessions(sessions, { status } = {}) {
+  let result = [...sessions.values()];
+  if (status) result = result.filter(s => s.status === status);
+  result.sort((a, b) => b.lastEventAt - a.lastEventAt);
+  return result.map(s => summarizeSession(s));
+}
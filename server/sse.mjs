@@ -0,0 +1,65 @@
+// Mohano - Server-Sent Events
+// A text/event-stream response that stands in for a WebSocket client, for proxies that strip `Upgrade`
+
+const KEEPALIVE_MS = 15 * 1000; // comment lines keep idle proxies from closing the stream
+const RETRY_MS = 3000;          // browser reconnect delay after a dropped stream
+
+// Quacks like the `ws` sockets in workspace.wsClients (send, close,
+// bufferedAmount, lastSeq, filters, lagging), so every broadcast, backfill and
+// slow-consumer path treats both transports alike. Each message is one `data:`
+// frame carrying the same JSON as a WebSocket frame, with `id:` set to the
+// client's `lastSeq` so the browser resumes with `Last-Event-ID`.
+export class SseClient {
+  constructor(res, headers) {
+    this.res = res;
+    this.lastSeq = 0;
+    this.filters = null;
+    this.lagging = false;
+    this.closed = false;
+    res.writeHead(200, {
+      ...headers,
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no', // nginx: don't buffer the stream
+    });
+    res.write(`retry: ${RETRY_MS}\n\n`);
+    this.keepalive = setInterval(() => this.write(': ping\n\n'), KEEPALIVE_MS);
+    this.keepalive.unref();
+    res.on('close', () => this.dispose());
+  }
+
+  get bufferedAmount() {
+    return this.res.writableLength;
+  }
+
+  write(chunk) {
+    if (this.closed) throw new Error('Stream closed');
+    this.res.write(chunk);
+  }
+
+  send(data) {
+    this.write(`id: ${this.lastSeq}\ndata: ${data}\n\n`);
+  }
+
+  // There are no close codes in SSE: the code goes out as a final
+  // `{ _type: 'close' }` message so the client knows not to reconnect
+  close(code, reason) {
+    if (this.closed) return;
+    this.write(`data: ${JSON.stringify({ _type: 'close', code, reason })}\n\n`);
+    this.res.end();
+    this.dispose();
+  }
+
+  dispose() {
+    this.closed = true;
+    clearInterval(this.keepalive);
+  }
+}
+
+// `Last-Event-ID` (sent by the browser when it reconnects) or `since_seq`; null for a fresh client
+export function resumeSeq(req, params) {
+  const value = req.headers['last-event-id'] ?? params.get('since_seq');
+  if (value === undefined || value === null || value === '') return null;
+  return parseInt(value, 10) || 0;
+}
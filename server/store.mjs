@@ -0,0 +1,463 @@
+// Mohano - Event storage
+// Pluggable persistence for per-workspace event logs (in-memory or append-only JSONL files)
+
+import { createHash } from 'node:crypto';
+import {
+  existsSync, mkdirSync, readdirSync, readFileSync, writeFileSync,
+  renameSync, rmSync, createWriteStream, statSync,
+  openSync, closeSync, readSync, writeSync, fstatSync,
+} from 'node:fs';
+import { join } from 'node:path';
+
+// --- Circular buffer ---
+
+export class CircularBuffer {
+  constructor(capacity) {
+    this.capacity = capacity;
+    this.buf = new Array(capacity);
+    this.head = 0;
+    this.count = 0;
+  }
+
+  // Returns the item pushed out, if the buffer was full
+  push(item) {
+    const evicted = this.count === this.capacity ? this.buf[this.head] : undefined;
+    this.buf[this.head] = item;
+    this.head = (this.head + 1) % this.capacity;
+    if (this.count < this.capacity) this.count++;
+    return evicted;
+  }
+
+  toArray() {
+    if (this.count === 0) return [];
+    if (this.count < this.capacity) {
+      return this.buf.slice(0, this.count);
+    }
+    return [...this.buf.slice(this.head), ...this.buf.slice(0, this.head)];
+  }
+
+  get size() {
+    return this.count;
+  }
+
+  get oldest() {
+    if (this.count === 0) return undefined;
+    return this.count < this.capacity ? this.buf[0] : this.buf[this.head];
+  }
+}
+
+// --- Event log ---
+// Keeps the retained window of a workspace's events in memory and writes every
+// event through to the backend. `retention` is the number of events the store
+// keeps; the backend file is compacted back down to it once it doubles.
+// Events `isTranscript` picks out (conversation uploaded after the fact) have
+// a window of their own, `transcriptRetention`, so a long transcript upload
+// cannot push the hook events out.
+
+// One retention window: the events and their serialized sizes
+class Window {
+  constructor(capacity) {
+    this.events = new CircularBuffer(capacity);
+    this.sizes = new CircularBuffer(capacity);
+    this.bytes = 0; // sum of the sizes, as an estimate of the memory the window holds
+  }
+
+  // Returns the event pushed out, if the window was full
+  push(event) {
+    const size = Buffer.byteLength(JSON.stringify(event));
+    const evicted = this.events.push(event);
+    this.bytes += size - (this.sizes.push(size) || 0);
+    return evicted;
+  }
+}
+
+function mergeBySeq(a, b) {
+  if (b.length === 0) return a;
+  if (a.length === 0) return b;
+  const merged = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) merged.push(a[i]._seq <= b[j]._seq ? a[i++] : b[j++]);
+  while (i < a.length) merged.push(a[i++]);
+  while (j < b.length) merged.push(b[j++]);
+  return merged;
+}
+
+export class EventLog {
+  constructor(backend, key, retention, { transcriptRetention = 0, isTranscript = () => false } = {}) {
+    this.backend = backend;
+    this.key = key;
+    this.retention = retention;
+    this.capacity = retention + transcriptRetention; // both windows
+    this.hooks = new Window(retention);
+    this.transcripts = new Window(Math.max(1, transcriptRetention));
+    this.isTranscript = transcriptRetention > 0 ? isTranscript : () => false;
+    this.stored = 0; // events currently in the backend, including evicted ones
+    this.droppedSeq = 0; // highest `_seq` that has left either window
+  }
+
+  retain(event) {
+    const evicted = (this.isTranscript(event) ? this.transcripts : this.hooks).push(event);
+    if (evicted) this.droppedSeq = Math.max(this.droppedSeq, evicted._seq);
+    return evicted;
+  }
+
+  // Seed from events read back from the backend (no write-through)
+  load(events) {
+    for (const event of events) this.retain(event);
+    this.stored = events.length;
+    if (this.stored > this.capacity) this.compact();
+  }
+
+  // Returns the event that left the retained window to make room, if any
+  push(event) {
+    const evicted = this.retain(event);
+    this.backend.append(this.key, event);
+    if (++this.stored >= this.capacity * 2) this.compact();
+    return evicted;
+  }
+
+  compact() {
+    const events = this.toArray();
+    this.backend.rewrite(this.key, events);
+    this.stored = events.length;
+  }
+
+  // Both windows, in `_seq` order
+  toArray() {
+    return mergeBySeq(this.hooks.events.toArray(), this.transcripts.events.toArray());
+  }
+
+  get size() {
+    return this.hooks.events.size + this.transcripts.events.size;
+  }
+
+  get bytes() {
+    return this.hooks.bytes + this.transcripts.bytes;
+  }
+
+  // `_seq` of the oldest retained hook event, null when there is none
+  get oldestSeq() {
+    const event = this.hooks.events.oldest;
+    return event ? event._seq : null;
+  }
+}
+
+// --- Offloaded fields ---
+// Oversized event fields are truncated at ingest and their full values kept
+// here, keyed by the event's `_seq` and the field's dot path. Both backends
+// prune values for events that have fallen out of the retained window when
+// the log is rewritten.
+
+function fieldId(seq, path) {
+  return `${seq}\0${path}`;
+}
+
+function seqOfFieldId(id) {
+  return parseInt(id, 10);
+}
+
+// --- Hibernation ---
+// Idle workspaces are evicted from memory: `hibernate(key, events)` puts the
+// retained window (and its offloaded fields) on disk, `wake(key)` returns the
+// events and forgets the snapshot. `loadAll()` does not read the events of
+// workspaces whose meta says they are hibernated.
+
+// --- Memory backend ---
+// Default: nothing survives a restart, matching the original behaviour.
+// Hibernated workspaces go to `<dataDir>/.hibernated/`, which is emptied on start.
+
+class MemoryBackend {
+  constructor(dataDir) {
+    this.kind = 'memory';
+    this.fields = new Map(); // key -> Map(fieldId -> value)
+    this.snapshotDir = join(dataDir, '.hibernated');
+    rmSync(this.snapshotDir, { recursive: true, force: true });
+  }
+
+  snapshotPath(key) {
+    return join(this.snapshotDir, `${key}.json`);
+  }
+
+  keyFor(token) {
+    return storageKey(token);
+  }
+
+  loadAll() { return []; }
+  append() {}
+
+  rewrite(key, events) {
+    pruneFields(this.fields.get(key), events);
+  }
+
+  saveMeta() {}
+
+  remove(key) {
+    this.fields.delete(key);
+    rmSync(this.snapshotPath(key), { force: true });
+  }
+
+  hibernate(key, events) {
+    mkdirSync(this.snapshotDir, { recursive: true });
+    const fields = [...(this.fields.get(key) || new Map())];
+    writeAtomic(this.snapshotPath(key), JSON.stringify({ events, fields }));
+    this.fields.delete(key);
+  }
+
+  wake(key) {
+    const path = this.snapshotPath(key);
+    if (!existsSync(path)) return [];
+    const { events, fields } = JSON.parse(readFileSync(path, 'utf-8'));
+    if (fields.length) this.fields.set(key, new Map(fields));
+    rmSync(path, { force: true });
+    return events;
+  }
+
+  putField(key, seq, path, value) {
+    if (!this.fields.has(key)) this.fields.set(key, new Map());
+    this.fields.get(key).set(fieldId(seq, path), value);
+  }
+
+  getField(key, seq, path) {
+    return this.fields.get(key)?.get(fieldId(seq, path));
+  }
+
+  async flush() {}
+
+  status() {
+    return { kind: this.kind, ok: true };
+  }
+}
+
+// --- JSONL backend ---
+// One directory per workspace: `events.jsonl` (append-only, one event per line),
+// `fields.jsonl` (offloaded field values) and `meta.json`. Directories are named
+// by a hash so tokens never hit the filesystem.
+
+class JsonlBackend {
+  constructor(dataDir) {
+    this.kind = 'jsonl';
+    this.dataDir = dataDir;
+    this.streams = new Map(); // key -> WriteStream
+    this.fieldIndex = new Map(); // key -> Map(fieldId -> { offset, length }) into fields.jsonl
+    this.lastError = null;
+    mkdirSync(dataDir, { recursive: true });
+  }
+
+  keyFor(token) {
+    return storageKey(token);
+  }
+
+  dir(key) {
+    return join(this.dataDir, key);
+  }
+
+  loadAll() {
+    const results = [];
+    for (const key of readdirSync(this.dataDir)) {
+      if (key.startsWith('.')) continue; // e.g. the memory backend's .hibernated/
+      const dir = this.dir(key);
+      try {
+        if (!statSync(dir).isDirectory()) continue;
+        const metaPath = join(dir, 'meta.json');
+        const meta = existsSync(metaPath) ? JSON.parse(readFileSync(metaPath, 'utf-8')) : {};
+        // Hibernated workspaces stay on disk until wake()
+        if (meta.hibernated) {
+          results.push({ key, meta, events: [] });
+          continue;
+        }
+        results.push({ key, meta, events: readJsonl(join(dir, 'events.jsonl')) });
+        this.fieldIndex.set(key, indexFields(join(dir, 'fields.jsonl')));
+      } catch (e) {
+        console.warn(`Skipping unreadable workspace store ${key}: ${e.message}`);
+      }
+    }
+    return results;
+  }
+
+  stream(key) {
+    let stream = this.streams.get(key);
+    if (!stream) {
+      mkdirSync(this.dir(key), { recursive: true });
+      stream = createWriteStream(join(this.dir(key), 'events.jsonl'), { flags: 'a' });
+      stream.on('error', (e) => {
+        this.lastError = e.message;
+        console.warn(`Event store write failed for ${key}: ${e.message}`);
+      });
+      this.streams.set(key, stream);
+    }
+    return stream;
+  }
+
+  append(key, event) {
+    this.stream(key).write(JSON.stringify(event) + '\n');
+  }
+
+  // Replace the whole log (compaction); the new file is swapped in atomically.
+  // `events` supersedes whatever the old stream still has buffered, so it is
+  // destroyed rather than ended: a stream that has not opened its file yet
+  // would otherwise append those lines to the new one.
+  rewrite(key, events) {
+    const stream = this.streams.get(key);
+    if (stream) {
+      stream.destroy();
+      this.streams.delete(key);
+    }
+    const path = join(this.dir(key), 'events.jsonl');
+    const body = events.map(e => JSON.stringify(e) + '\n').join('');
+    writeAtomic(path, body);
+    this.rewriteFields(key, events);
+  }
+
+  // Drop offloaded values of events no longer retained
+  rewriteFields(key, events) {
+    const index = this.fieldIndex.get(key);
+    if (!index || index.size === 0) return;
+    const path = join(this.dir(key), 'fields.jsonl');
+    const kept = [];
+    const minSeq = events.length ? events[0]._seq : Infinity;
+    for (const [id, loc] of index) {
+      if (seqOfFieldId(id) >= minSeq) kept.push([id, readAt(path, loc)]);
+    }
+    const next = new Map();
+    let offset = 0;
+    const lines = kept.map(([id, line]) => {
+      const length = Buffer.byteLength(line);
+      next.set(id, { offset, length });
+      offset += length + 1;
+      return line + '\n';
+    });
+    writeAtomic(path, lines.join(''));
+    this.fieldIndex.set(key, next);
+  }
+
+  // Field writes are synchronous so the value is readable as soon as the
+  // event that references it has been broadcast
+  putField(key, seq, path, value) {
+    mkdirSync(this.dir(key), { recursive: true });
+    const line = JSON.stringify({ seq, path, value });
+    const fd = openSync(join(this.dir(key), 'fields.jsonl'), 'a');
+    try {
+      const offset = fstatSync(fd).size;
+      writeSync(fd, line + '\n');
+      if (!this.fieldIndex.has(key)) this.fieldIndex.set(key, new Map());
+      this.fieldIndex.get(key).set(fieldId(seq, path), { offset, length: Buffer.byteLength(line) });
+    } finally {
+      closeSync(fd);
+    }
+  }
+
+  getField(key, seq, path) {
+    const loc = this.fieldIndex.get(key)?.get(fieldId(seq, path));
+    if (!loc) return undefined;
+    return JSON.parse(readAt(join(this.dir(key), 'fields.jsonl'), loc)).value;
+  }
+
+  saveMeta(key, meta) {
+    mkdirSync(this.dir(key), { recursive: true });
+    writeAtomic(join(this.dir(key), 'meta.json'), JSON.stringify(meta, null, 2));
+  }
+
+  remove(key) {
+    const stream = this.streams.get(key);
+    if (stream) {
+      stream.destroy();
+      this.streams.delete(key);
+    }
+    this.fieldIndex.delete(key);
+    rmSync(this.dir(key), { recursive: true, force: true });
+  }
+
+  // The JSONL files are the snapshot: compact them and drop the field index
+  hibernate(key, events) {
+    this.rewrite(key, events);
+    this.fieldIndex.delete(key);
+  }
+
+  wake(key) {
+    const dir = this.dir(key);
+    this.fieldIndex.set(key, indexFields(join(dir, 'fields.jsonl')));
+    return readJsonl(join(dir, 'events.jsonl'));
+  }
+
+  async flush() {
+    const pending = [];
+    for (const [key, stream] of this.streams) {
+      pending.push(new Promise(res => stream.end(res)));
+      this.streams.delete(key);
+    }
+    await Promise.all(pending);
+  }
+
+  status() {
+    return { kind: this.kind, ok: !this.lastError, data_dir: this.dataDir, error: this.lastError || undefined };
+  }
+}
+
+// --- Helpers ---
+
+function storageKey(token) {
+  if (!token) return 'global';
+  return createHash('sha256').update(token).digest('hex').slice(0, 32);
+}
+
+function readJsonl(path) {
+  if (!existsSync(path)) return [];
+  const events = [];
+  for (const line of readFileSync(path, 'utf-8').split('\n')) {
+    if (!line) continue;
+    try {
+      events.push(JSON.parse(line));
+    } catch { /* skip torn line from a crash mid-write */ }
+  }
+  return events;
+}
+
+// Byte offsets of each `{ seq, path, value }` line in fields.jsonl
+function indexFields(path) {
+  const index = new Map();
+  if (!existsSync(path)) return index;
+  const buf = readFileSync(path);
+  let offset = 0;
+  while (offset < buf.length) {
+    let end = buf.indexOf(0x0a, offset);
+    if (end === -1) end = buf.length;
+    try {
+      const { seq, path: field } = JSON.parse(buf.subarray(offset, end).toString('utf-8'));
+      index.set(fieldId(seq, field), { offset, length: end - offset });
+    } catch { /* skip torn line */ }
+    offset = end + 1;
+  }
+  return index;
+}
+
+function readAt(path, { offset, length }) {
+  const fd = openSync(path, 'r');
+  try {
+    const buf = Buffer.alloc(length);
+    readSync(fd, buf, 0, length, offset);
+    return buf.toString('utf-8');
+  } finally {
+    closeSync(fd);
+  }
+}
+
+function pruneFields(fields, events) {
+  if (!fields) return;
+  const minSeq = events.length ? events[0]._seq : Infinity;
+  for (const id of fields.keys()) {
+    if (seqOfFieldId(id) < minSeq) fields.delete(id);
+  }
+}
+
+function writeAtomic(path, body) {
+  const tmp = `${path}.tmp`;
+  writeFileSync(tmp, body);
+  renameSync(tmp, path);
+}
+
+export function createStore(kind, { dataDir } = {}) {
+  if (kind === 'memory') return new MemoryBackend(dataDir);
+  if (kind === 'jsonl') return new JsonlBackend(dataDir);
+  throw new Error(`Unknown MOHANO_STORAGE backend: ${kind}`);
+}
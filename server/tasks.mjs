@@ -0,0 +1,127 @@
+// Mohano - Task file watcher
+// Keeps a cache of ~/.claude/tasks/<list>/<id>.json and reports which task files changed
+
+import { existsSync, readdirSync, readFileSync, statSync, watch } from 'node:fs';
+import { join, sep } from 'node:path';
+
+const DEBOUNCE_MS = 100;          // coalesce the burst of fs events from one write
+const RESCAN_INTERVAL_MS = 10 * 1000; // safety net for missed fs events and a late-created directory
+
+// A task list directory is named after the team or, for solo sessions, the session id.
+// Changes are reported as [{ op: 'upsert' | 'delete', task }] where `task` is
+// { path, team, ...file contents } (`team` is the list directory name).
+export class TaskWatcher {
+  constructor(dir, onChange) {
+    this.dir = dir;
+    this.onChange = onChange;
+    this.files = new Map();   // `${list}/${file}` -> { mtimeMs, size, json, task }
+    this.watcher = null;
+    this.pending = new Set(); // list names to rescan; '' means everything
+    this.debounce = null;
+    this.timer = null;
+  }
+
+  start() {
+    this.scan();
+    this.timer = setInterval(() => this.scan(), RESCAN_INTERVAL_MS);
+    this.timer.unref();
+  }
+
+  close() {
+    clearInterval(this.timer);
+    clearTimeout(this.debounce);
+    if (this.watcher) this.watcher.close();
+    this.watcher = null;
+  }
+
+  tasks() {
+    return [...this.files.values()].map(f => f.task);
+  }
+
+  watch() {
+    if (this.watcher || !existsSync(this.dir)) return;
+    try {
+      this.watcher = watch(this.dir, { recursive: true }, (type, filename) => {
+        this.pending.add(filename ? String(filename).split(sep)[0] : '');
+        clearTimeout(this.debounce);
+        this.debounce = setTimeout(() => this.flushPending(), DEBOUNCE_MS);
+      });
+      this.watcher.on('error', () => {
+        // Directory removed or watch limit hit: fall back to the periodic rescan
+        this.watcher.close();
+        this.watcher = null;
+      });
+    } catch { /* recursive watch unsupported: the periodic rescan still works */ }
+  }
+
+  flushPending() {
+    const lists = [...this.pending];
+    this.pending.clear();
+    this.scan(lists.includes('') ? null : lists);
+  }
+
+  // Rescan `lists` (or every list) and report what changed since the last scan
+  scan(lists = null) {
+    this.watch();
+    const changes = [];
+    const all = lists === null;
+    if (all) {
+      lists = [];
+      try {
+        for (const name of readdirSync(this.dir)) {
+          try {
+            if (statSync(join(this.dir, name)).isDirectory()) lists.push(name);
+          } catch { /* removed mid-scan */ }
+        }
+      } catch { /* tasks dir may not exist */ }
+    }
+
+    const seen = new Set();
+    for (const list of lists) {
+      const listDir = join(this.dir, list);
+      let files = [];
+      try {
+        files = readdirSync(listDir).filter(f => f.endsWith('.json'));
+      } catch { /* list removed */ }
+      for (const file of files) {
+        const path = `${list}/${file}`;
+        seen.add(path);
+        this.readFile(path, join(listDir, file), changes);
+      }
+    }
+
+    // Files that disappeared from the scanned lists
+    const scanned = new Set(lists);
+    for (const [path, entry] of this.files) {
+      if (seen.has(path) || (!all && !scanned.has(entry.task.team))) continue;
+      this.files.delete(path);
+      changes.push({ op: 'delete', task: entry.task });
+    }
+
+    if (changes.length) this.onChange(changes);
+    return changes;
+  }
+
+  readFile(path, fullPath, changes) {
+    let stat;
+    try {
+      stat = statSync(fullPath);
+    } catch {
+      return;
+    }
+    const prev = this.files.get(path);
+    if (prev && prev.mtimeMs === stat.mtimeMs && prev.size === stat.size) return;
+    let json;
+    let parsed;
+    try {
+      json = readFileSync(fullPath, 'utf-8');
+      parsed = JSON.parse(json);
+    } catch {
+      return; // partially written; the next fs event or rescan picks it up
+    }
+    // `path` and `team` scope the task to workspaces: the file cannot override them
+    const entry = { mtimeMs: stat.mtimeMs, size: stat.size, json, task: { ...parsed, path, team: path.split('/')[0] } };
+    this.files.set(path, entry);
+    if (!prev || prev.json !== json) changes.push({ op: 'upsert', task: entry.task });
+  }
+}
@@ -0,0 +1,125 @@
+// Mohano - Tool-call correlation
+// Pairs PreToolUse with PostToolUse / PostToolUseFailure into tool-call records with durations
+
+import { CircularBuffer } from './store.mjs';
+
+const MAX_PENDING = 1000; // Pre events still waiting for their Post (interrupted calls never get one)
+
+// Normalized at ingest, see frontend/normalize.cjs
+function hookType(event) {
+  return event._canonical.type;
+}
+
+function agentOf(event) {
+  return event.agent_id || event.agent_name || event.teammate_name || '';
+}
+
+// Fallback pairing key when the hook payload has no tool_use_id
+function orderKey(event) {
+  return `${event.session_id || ''}:${agentOf(event)}:${event.tool_name || ''}`;
+}
+
+export function createToolCalls(capacity) {
+  return {
+    pending: new Map(),             // call id -> running call
+    queues: new Map(),              // orderKey -> [running calls], oldest first
+    completed: new CircularBuffer(capacity),
+  };
+}
+
+function newCall(event) {
+  return {
+    id: event.tool_use_id || `seq-${event._seq}`,
+    tool_use_id: event.tool_use_id || null,
+    session_id: event.session_id || '',
+    agent_id: event.agent_id || '',
+    agent_type: event.agent_type,
+    agent_name: agentOf(event),
+    tool_name: event.tool_name || '',
+    tool_input: event.tool_input,
+    status: 'running', // running | success | failure
+    started_at: null,
+    ended_at: null,
+    duration_ms: null,
+    start_seq: null,
+    end_seq: null,
+    response: undefined,
+    error: undefined,
+  };
+}
+
+function removePending(toolCalls, call) {
+  toolCalls.pending.delete(call.id);
+  const queue = toolCalls.queues.get(call.orderKey);
+  if (!queue) return;
+  const i = queue.indexOf(call);
+  if (i !== -1) queue.splice(i, 1);
+  if (queue.length === 0) toolCalls.queues.delete(call.orderKey);
+}
+
+function findPending(toolCalls, event) {
+  if (event.tool_use_id) return toolCalls.pending.get(event.tool_use_id) || null;
+  const queue = toolCalls.queues.get(orderKey(event));
+  return queue ? queue[0] : null;
+}
+
+// Fold a hook event into the tracker. Returns the call it started or
+// completed, or null for events that are not tool events.
+export function recordToolEvent(toolCalls, event) {
+  const type = hookType(event);
+
+  if (type === 'PreToolUse') {
+    const call = newCall(event);
+    call.started_at = event.timestamp || null;
+    call.start_seq = event._seq;
+    Object.defineProperty(call, 'orderKey', { value: orderKey(event), enumerable: false });
+    toolCalls.pending.set(call.id, call);
+    if (!toolCalls.queues.has(call.orderKey)) toolCalls.queues.set(call.orderKey, []);
+    toolCalls.queues.get(call.orderKey).push(call);
+    if (toolCalls.pending.size > MAX_PENDING) {
+      removePending(toolCalls, toolCalls.pending.values().next().value);
+    }
+    return call;
+  }
+
+  if (type !== 'PostToolUse' && type !== 'PostToolUseFailure') return null;
+
+  // A Post with no matching Pre still becomes a (duration-less) record
+  let call = findPending(toolCalls, event);
+  if (call) {
+    removePending(toolCalls, call);
+  } else {
+    call = newCall(event);
+  }
+
+  const failed = type === 'PostToolUseFailure'
+    || Boolean(event.error || event.status === 'error' || event.success === false);
+  call.status = failed ? 'failure' : 'success';
+  call.ended_at = event.timestamp || null;
+  call.end_seq = event._seq;
+  call.response = event.tool_response;
+  call.error = event.error;
+  if (!call.tool_input) call.tool_input = event.tool_input;
+  const start = Date.parse(call.started_at);
+  const end = Date.parse(call.ended_at);
+  if (!isNaN(start) && !isNaN(end)) call.duration_ms = Math.max(0, end - start);
+
+  toolCalls.completed.push(call);
+  return call;
+}
+
+// Drop running calls whose Pre event has left the retained window (called
+// after each event is stored). Pending calls are held in start order.
+export function pruneToolCalls(toolCalls, oldestSeq) {
+  if (oldestSeq === null) return;
+  for (const call of toolCalls.pending.values()) {
+    if (call.start_seq >= oldestSeq) break;
+    removePending(toolCalls, call);
+  }
+}
+
+// Running and completed calls, in the order they started
+export function listToolCalls(toolCalls) {
+  return [...toolCalls.pending.values(), ...toolCalls.completed.toArray()]
+    .sort((a, b) => (a.start_seq ?? a.end_seq) - (b.start_seq ?? b.end_seq));
+}
@@ -0,0 +1,181 @@
+// Mohano - Token usage and cost
+// Per-session and per-agent token totals from TranscriptMessage usage records, priced per model
+
+import { readFileSync } from 'node:fs';
+
+const MAX_SESSIONS = 500;    // per workspace; least recently updated are dropped first
+const MAX_MESSAGES = 10000;  // message ids remembered to de-duplicate repeated usage records
+const MAX_POINTS = 400;      // running-cost samples per session; halved when full
+
+// USD per million tokens. A model uses the longest key its name starts with.
+export const DEFAULT_PRICES = {
+  'claude-opus-4': { input: 15, output: 75, cache_write: 18.75, cache_read: 1.5 },
+  'claude-opus-4-5': { input: 5, output: 25, cache_write: 6.25, cache_read: 0.5 },
+  'claude-sonnet-4': { input: 3, output: 15, cache_write: 3.75, cache_read: 0.3 },
+  'claude-3-7-sonnet': { input: 3, output: 15, cache_write: 3.75, cache_read: 0.3 },
+  'claude-3-5-sonnet': { input: 3, output: 15, cache_write: 3.75, cache_read: 0.3 },
+  'claude-haiku-4-5': { input: 1, output: 5, cache_write: 1.25, cache_read: 0.1 },
+  'claude-3-5-haiku': { input: 0.8, output: 4, cache_write: 1, cache_read: 0.08 },
+};
+
+const KINDS = ['input', 'output', 'cache_write', 'cache_read'];
+// Anthropic API usage field for each token kind
+const USAGE_FIELDS = {
+  input: 'input_tokens',
+  output: 'output_tokens',
+  cache_write: 'cache_creation_input_tokens',
+  cache_read: 'cache_read_input_tokens',
+};
+
+// Price file: { "<model prefix>": { input, output, cache_write, cache_read } }, merged over the defaults
+export function loadPrices(path) {
+  if (!path) return { ...DEFAULT_PRICES };
+  const custom = JSON.parse(readFileSync(path, 'utf-8'));
+  for (const [model, price] of Object.entries(custom)) {
+    for (const kind of KINDS) {
+      if (typeof price[kind] !== 'number') throw new Error(`Price for ${model} needs a numeric ${kind}`);
+    }
+  }
+  return { ...DEFAULT_PRICES, ...custom };
+}
+
+function priceFor(prices, model) {
+  let best = null;
+  for (const key of Object.keys(prices)) {
+    if (model.startsWith(key) && (!best || key.length > best.length)) best = key;
+  }
+  return best ? prices[best] : null;
+}
+
+function emptyTokens() {
+  return { input: 0, output: 0, cache_write: 0, cache_read: 0 };
+}
+
+function addTokens(target, tokens, sign = 1) {
+  for (const kind of KINDS) target[kind] += sign * tokens[kind];
+}
+
+function createTotals() {
+  return { tokens: emptyTokens(), cost_usd: 0, messages: 0, unpriced: 0 };
+}
+
+export function createUsage() {
+  return {
+    sessions: new Map(), // session id -> { id, totals, agents: Map(agent -> totals), models: Set, points, updatedAt }
+    messages: new Map(), // message id -> { session, agent, tokens, cost_usd, priced }
+  };
+}
+
+export function clearUsage(usage) {
+  usage.sessions.clear();
+  usage.messages.clear();
+}
+
+function getSession(usage, id) {
+  let session = usage.sessions.get(id);
+  if (!session) {
+    session = { id, totals: createTotals(), agents: new Map(), models: new Set(), points: [], updatedAt: 0 };
+    usage.sessions.set(id, session);
+    if (usage.sessions.size > MAX_SESSIONS) {
+      let oldest = null;
+      for (const s of usage.sessions.values()) {
+        if (!oldest || s.updatedAt < oldest.updatedAt) oldest = s;
+      }
+      usage.sessions.delete(oldest.id);
+    }
+  }
+  return session;
+}
+
+function applyMessage(session, agent, message, sign) {
+  const targets = [session.totals];
+  if (!session.agents.has(agent)) session.agents.set(agent, createTotals());
+  targets.push(session.agents.get(agent));
+  for (const totals of targets) {
+    addTokens(totals.tokens, message.tokens, sign);
+    totals.cost_usd += sign * message.cost_usd;
+    totals.messages += sign;
+    if (!message.priced) totals.unpriced += sign;
+  }
+}
+
+// Fold the usage record of a TranscriptMessage event into the totals. Every
+// transcript entry of one API response repeats its usage, so a message is
+// counted once, with the figures from its latest entry. Returns the message's
+// { tokens, cost_usd } and the updated session, or null when there is no usage.
+export function recordUsage(usage, prices, event) {
+  if (!event.usage || typeof event.usage !== 'object' || !event.session_id) return null;
+  const tokens = emptyTokens();
+  for (const kind of KINDS) {
+    const n = Number(event.usage[USAGE_FIELDS[kind]]);
+    tokens[kind] = Number.isFinite(n) && n > 0 ? n : 0;
+  }
+  const model = typeof event.model === 'string' ? event.model : '';
+  const price = priceFor(prices, model);
+  let cost = 0;
+  if (price) {
+    for (const kind of KINDS) cost += (tokens[kind] * price[kind]) / 1e6;
+  }
+  const message = { tokens, cost_usd: cost, priced: Boolean(price) };
+
+  const session = getSession(usage, event.session_id);
+  const agent = event.sidechain ? (event.agent_id || 'subagent') : 'main';
+  const id = event.message_id || event.uuid || `seq:${event._seq}`;
+  const prev = usage.messages.get(id);
+  if (prev) {
+    const prevSession = usage.sessions.get(prev.session);
+    if (prevSession) applyMessage(prevSession, prev.agent, prev, -1);
+    usage.messages.delete(id);
+  } else if (usage.messages.size >= MAX_MESSAGES) {
+    usage.messages.delete(usage.messages.keys().next().value);
+  }
+  usage.messages.set(id, { ...message, session: session.id, agent });
+  applyMessage(session, agent, message, 1);
+  if (model) session.models.add(model);
+
+  const time = Date.parse(event.timestamp);
+  session.updatedAt = isNaN(time) ? Date.now() : time;
+  const last = session.points[session.points.length - 1];
+  if (last && last[0] === session.updatedAt) {
+    last[1] = session.totals.cost_usd;
+  } else {
+    session.points.push([session.updatedAt, session.totals.cost_usd]);
+    if (session.points.length > MAX_POINTS) session.points = session.points.filter((p, i, all) => (all.length - 1 - i) % 2 === 0);
+  }
+  return { tokens, cost_usd: roundCost(cost), session };
+}
+
+function roundCost(n) {
+  return Math.round(n * 1e6) / 1e6;
+}
+
+function describeTotals(totals) {
+  return {
+    tokens: { ...totals.tokens },
+    cost_usd: roundCost(totals.cost_usd),
+    messages: totals.messages,
+    unpriced_messages: totals.unpriced,
+  };
+}
+
+// JSON shape served by /api/usage; `detail` adds the per-agent split and running cost
+export function summarizeUsage(session, { detail = false } = {}) {
+  const summary = { session_id: session.id, models: [...session.models], ...describeTotals(session.totals) };
+  if (detail) {
+    summary.agents = Object.fromEntries([...session.agents].map(([agent, totals]) => [agent, describeTotals(totals)]));
+    summary.points = session.points.map(([t, cost]) => [new Date(t).toISOString(), roundCost(cost)]);
+  }
+  return summary;
+}
+
+export function sessionUsage(usage, id) {
+  const session = usage.sessions.get(id);
+  return session ? summarizeUsage(session) : null;
+}
+
+export function listUsage(usage, { session_id } = {}) {
+  let sessions = [...usage.sessions.values()];
+  if (session_id) sessions = sessions.filter(s => s.id === session_id);
+  sessions.sort((a, b) => b.updatedAt - a.updatedAt);
+  return sessions.map(s => summarizeUsage(s, { detail: true }));
+}
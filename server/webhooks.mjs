@@ -0,0 +1,271 @@
+// Mohano - Outgoing webhooks
+// Per-workspace subscriptions that POST matching events to external URLs, signed with HMAC-SHA256
+
+import { createHmac, randomBytes } from 'node:crypto';
+import { lookup } from 'node:dns';
+import http from 'node:http';
+import https from 'node:https';
+import { BlockList, isIP } from 'node:net';
+import { CircularBuffer } from './store.mjs';
+import { parseFilters, matchesFilters, serializeFilters } from './filters.mjs';
+
+const MAX_WEBHOOKS = 20;        // subscriptions per workspace
+const MAX_DELIVERIES = 200;     // delivery log entries kept per workspace
+const MAX_ATTEMPTS = 5;
+const BASE_BACKOFF_MS = 1000;   // 1s, 2s, 4s, 8s between attempts
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+
+// Destinations a subscription may not reach: loopback, private, link-local
+// (cloud metadata), CGNAT, multicast and reserved ranges. IPv4-mapped IPv6
+// addresses match the IPv4 rules.
+const BLOCKED_NETWORKS = [
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'],
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'],
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.0.0.0', 24, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'],
+  ['224.0.0.0', 3, 'ipv4'], // multicast and reserved, up to 255.255.255.255
+  ['::', 128, 'ipv6'],
+  ['::1', 128, 'ipv6'],
+  ['64:ff9b::', 96, 'ipv6'], // NAT64 of any IPv4 address
+  ['fc00::', 7, 'ipv6'],
+  ['fe80::', 10, 'ipv6'],
+  ['ff00::', 8, 'ipv6'],
+];
+
+const blocked = new BlockList();
+for (const [address, prefix, family] of BLOCKED_NETWORKS) blocked.addSubnet(address, prefix, family);
+let allowed = new BlockList();
+
+// Exceptions to the blocked ranges, e.g. a receiver on the same host or
+// network: addresses or CIDR ranges ('127.0.0.1', '10.1.0.0/16').
+// Throws on an entry that is not one.
+export function allowNetworks(list) {
+  const next = new BlockList();
+  for (const entry of list) {
+    const [address, prefix] = entry.split('/');
+    const family = isIP(address);
+    const bits = prefix === undefined ? (family === 6 ? 128 : 32) : Number(prefix);
+    if (!family || !Number.isInteger(bits) || bits < 0 || bits > (family === 6 ? 128 : 32)) {
+      throw new Error(`Invalid network: ${entry}`);
+    }
+    next.addSubnet(address, bits, family === 6 ? 'ipv6' : 'ipv4');
+  }
+  allowed = next;
+}
+
+function isAllowedAddress(address) {
+  const family = isIP(address) === 6 ? 'ipv6' : 'ipv4';
+  return !blocked.check(address, family) || allowed.check(address, family);
+}
+
+function notAllowed(address) {
+  const err = new Error(`Destination address ${address} is not allowed`);
+  err.code = 'EADDRNOTALLOWED';
+  return err;
+}
+
+// dns.lookup for outgoing requests: only addresses that pass the check are
+// handed to the socket, so the address connected to is the one checked
+function checkedLookup(hostname, options, callback) {
+  lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+    if (!Array.isArray(address)) {
+      return isAllowedAddress(address) ? callback(null, address, family) : callback(notAllowed(address));
+    }
+    const addresses = address.filter(a => isAllowedAddress(a.address));
+    if (!addresses.length) return callback(notAllowed(address.map(a => a.address).join(', ')));
+    callback(null, addresses);
+  });
+}
+
+function hostAddress(url) {
+  return url.hostname.replace(/^\[|\]$/g, ''); // IPv6 literals come bracketed
+}
+
+export function createWebhooks() {
+  return {
+    subscriptions: new Map(),   // id -> { id, url, secret, filters, description, created_at }
+    deliveries: new CircularBuffer(MAX_DELIVERIES),
+    timers: new Set(),          // pending retries, cleared when the workspace goes away
+  };
+}
+
+// Validate and add a subscription. Throws with a user-facing message on bad input.
+// `match` uses the event filter fields: { hook_event_name, tool_name, agent_type, session_id }
+export function addWebhook(webhooks, { url, match, secret, description } = {}) {
+  if (webhooks.subscriptions.size >= MAX_WEBHOOKS) {
+    throw new Error(`Too many webhooks (max ${MAX_WEBHOOKS})`);
+  }
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw new Error('url must be an absolute http(s) URL');
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    throw new Error('url must be an absolute http(s) URL');
+  }
+  // Host names are checked when they are resolved, on every delivery
+  const host = hostAddress(parsed);
+  if (isIP(host) && !isAllowedAddress(host)) {
+    throw new Error('url must not point to a private, loopback or link-local address');
+  }
+  if (secret !== undefined && (typeof secret !== 'string' || secret.length < 16)) {
+    throw new Error('secret must be a string of at least 16 characters');
+  }
+  const sub = {
+    id: 'wh_' + randomBytes(8).toString('hex'),
+    url: parsed.href,
+    secret: secret || 'whsec_' + randomBytes(24).toString('base64url'),
+    filters: parseFilters(match && typeof match === 'object' ? match : {}),
+    description: typeof description === 'string' ? description.slice(0, 200) : '',
+    created_at: new Date().toISOString(),
+  };
+  webhooks.subscriptions.set(sub.id, sub);
+  return sub;
+}
+
+// Public view of a subscription (the secret is only returned on creation)
+export function describeWebhook(sub) {
+  return {
+    id: sub.id,
+    url: sub.url,
+    match: serializeFilters(sub.filters),
+    description: sub.description,
+    created_at: sub.created_at,
+  };
+}
+
+// --- Persistence (workspace meta) ---
+
+export function serializeWebhooks(webhooks) {
+  return [...webhooks.subscriptions.values()].map(sub => ({ ...describeWebhook(sub), secret: sub.secret }));
+}
+
+export function loadWebhooks(webhooks, list = []) {
+  for (const { match, ...sub } of list) {
+    webhooks.subscriptions.set(sub.id, { ...sub, filters: parseFilters(match || {}) });
+  }
+}
+
+export function closeWebhooks(webhooks) {
+  for (const timer of webhooks.timers) clearTimeout(timer);
+  webhooks.timers.clear();
+  webhooks.subscriptions.clear();
+}
+
+// --- Delivery ---
+
+function sign(secret, body) {
+  return 'sha256=' + createHmac('sha256', secret).update(body).digest('hex');
+}
+
+// Queue a delivery to every subscription matching each event. `onDone` is
+// called once per delivery when it succeeds or runs out of attempts.
+export function dispatchWebhooks(webhooks, events, onDone) {
+  if (webhooks.subscriptions.size === 0) return;
+  for (const event of events) {
+    for (const sub of webhooks.subscriptions.values()) {
+      if (!matchesFilters(event, sub.filters)) continue;
+      const delivery = {
+        id: 'dlv_' + randomBytes(8).toString('hex'),
+        webhook_id: sub.id,
+        event_seq: event._seq,
+        hook_event_name: event._canonical.type,
+        status: 'pending', // pending | success | failed
+        created_at: new Date().toISOString(),
+        attempts: [],      // [{ at, status_code, error, duration_ms }]
+      };
+      webhooks.deliveries.push(delivery);
+      attempt(webhooks, sub, delivery, event, onDone);
+    }
+  }
+}
+
+// POST `body` to `url`; resolves with the response status. Redirects are not
+// followed. Literal IP hosts skip DNS, so they are checked here.
+function post(url, headers, body) {
+  return new Promise((resolve, reject) => {
+    const parsed = new URL(url);
+    const host = hostAddress(parsed);
+    if (isIP(host) && !isAllowedAddress(host)) {
+      reject(notAllowed(host));
+      return;
+    }
+    const req = (parsed.protocol === 'https:' ? https : http).request(parsed, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      lookup: checkedLookup,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    }, (res) => {
+      res.resume(); // drain so the connection is reused
+      res.on('end', () => resolve(res.statusCode));
+      res.on('error', reject);
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+async function attempt(webhooks, sub, delivery, event, onDone) {
+  const body = JSON.stringify({
+    id: delivery.id,
+    webhook_id: sub.id,
+    attempt: delivery.attempts.length + 1,
+    event,
+  });
+  const started = Date.now();
+  const record = { at: new Date(started).toISOString(), status_code: null, error: null, duration_ms: null };
+  let retry = false;
+  try {
+    const status = await post(sub.url, {
+      'Content-Type': 'application/json',
+      'User-Agent': 'Mohano-Webhook',
+      'X-Mohano-Delivery': delivery.id,
+      'X-Mohano-Event': delivery.hook_event_name,
+      'X-Mohano-Signature': sign(sub.secret, body),
+    }, body);
+    record.status_code = status;
+    if (status < 200 || status >= 300) {
+      record.error = `HTTP ${status}`;
+      // Client errors other than throttling won't fix themselves
+      retry = status >= 500 || status === 429 || status === 408;
+    }
+  } catch (e) {
+    record.error = e.name === 'AbortError' ? 'Timed out' : e.code === 'EADDRNOTALLOWED' ? e.message : (e.code || e.message);
+    retry = e.code !== 'EADDRNOTALLOWED';
+  }
+  record.duration_ms = Date.now() - started;
+  delivery.attempts.push(record);
+
+  if (!record.error) {
+    delivery.status = 'success';
+    delete delivery.next_attempt_at;
+    onDone(delivery);
+    return;
+  }
+  // The subscription may have been deleted while the request was in flight
+  if (retry && delivery.attempts.length < MAX_ATTEMPTS && webhooks.subscriptions.get(sub.id) === sub) {
+    const delay = BASE_BACKOFF_MS * 2 ** (delivery.attempts.length - 1);
+    delivery.next_attempt_at = new Date(Date.now() + delay).toISOString();
+    const timer = setTimeout(() => {
+      webhooks.timers.delete(timer);
+      attempt(webhooks, sub, delivery, event, onDone);
+    }, delay);
+    timer.unref();
+    webhooks.timers.add(timer);
+    return;
+  }
+  delivery.status = 'failed';
+  delete delivery.next_attempt_at;
+  onDone(delivery);
+}
+
+export function listDeliveries(webhooks, webhookId) {
+  return webhooks.deliveries.toArray().filter(d => !webhookId || d.webhook_id === webhookId).reverse();
+}
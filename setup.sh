@@ -4,6 +4,7 @@
 #   ./setup.sh                                          # Local mode (localhost:7777)
 #   ./setup.sh --url https://mohano.example.com         # Remote server
 #   ./setup.sh --url https://mohano.example.com --api-key YOUR_KEY
+#   ./setup.sh --transcripts                            # Also upload conversation transcripts
 set -euo pipefail
 
 MOHANO_DIR="$(cd "$(dirname "$0")" && pwd)"
@@ -16,6 +17,7 @@ CONFIG_FILE="$CONFIG_DIR/config"
 MOHANO_URL=""
 MOHANO_API_KEY=""
 SKIP_SERVER=false
+TRANSCRIPTS=false
 
 # Parse args
 while [[ $# -gt 0 ]]; do
@@ -23,13 +25,15 @@ while [[ $# -gt 0 ]]; do
     --url)       MOHANO_URL="$2"; shift 2 ;;
     --api-key)   MOHANO_API_KEY="$2"; shift 2 ;;
     --skip-server) SKIP_SERVER=true; shift ;;
+    --transcripts) TRANSCRIPTS=true; shift ;;
     -h|--help)
-      echo "Usage: ./setup.sh [--url URL] [--api-key KEY] [--skip-server]"
+      echo "Usage: ./setup.sh [--url URL] [--api-key KEY] [--skip-server] [--transcripts]"
       echo ""
       echo "Options:"
       echo "  --url URL        Mohano server URL (default: http://localhost:7777)"
       echo "  --api-key KEY    API key for authentication"
       echo "  --skip-server    Skip npm install (client-only setup for remote server)"
+      echo "  --transcripts    Upload prompts and assistant replies for the Conversation view"
       exit 0 ;;
     *) echo "Unknown option: $1"; exit 1 ;;
   esac
@@ -100,6 +104,7 @@ fi
 # ── 3. Make hook scripts executable ──────────────────────────
 
 chmod +x "$MOHANO_DIR/hooks/send-event.sh"
+chmod +x "$MOHANO_DIR/hooks/send-transcript.py"
 chmod +x "$MOHANO_DIR/hooks/test-events.sh"
 ok "Hook scripts are executable"
 
@@ -118,6 +123,9 @@ mkdir -p "$CONFIG_DIR"
   if [ -n "$MOHANO_API_KEY" ]; then
     echo "MOHANO_API_KEY=\"$MOHANO_API_KEY\""
   fi
+  if [ "$TRANSCRIPTS" = true ]; then
+    echo "MOHANO_TRANSCRIPTS=\"true\""
+  fi
 } > "$CONFIG_FILE"
 
 ok "Client config written to $CONFIG_FILE"